@@ -16,17 +16,26 @@ import { ws } from './ws-client.js';
 import { PALETTE, deriveDitherPair, findByHex } from './palette.js';
 
 // ─── Dedup sets — prevent double-adding optimistic vs. server-echo items ───
-// Key format: "<name>::<text>"
+// Key format: "<sid>::<text>"
 // Cleared on mode switch so they don't accumulate if server echo never arrives.
-const _selfSentTexts = new Set();
-const _selfSentQAs   = new Set();
+// Both map key → the optimistic feed item, so the echo (or 'held') can tag it.
+const _selfSentTexts = new Map();
+const _selfSentQAs   = new Map();
 
 // ─── Session state ─────────────────────────────────────────────────────────
 
 const state = {
   mode: 'lobby',
   joined: false,
+  roomClosed: false, // the admin closed this room — stop reconnecting
+  muted: false,      // a moderator muted this phone — questions and text responses are dropped
   name: '',
+  sid: null,         // our student id, from 'joined' — what the server and host know us by
+  // Device secret from our first join, kept across reloads so we come back as
+  // the same student (see 'resume' in server/room.js)
+  device: loadDevice(),
+  // Optional ?team= from the QR link — server can group teammates onto one bulb zone
+  team: new URLSearchParams(location.search).get('team') || '',
   colorHex: '#FF6EB4',
   colorName: 'Hot Pink',
   colorB: '#FFB3D9',
@@ -36,6 +45,8 @@ const state = {
   lastSentName: null,
   reactionCounts: { '👀': 0, '💡': 0, '🔥': 0, '😮': 0 },
   roomColorHex: '#FF6EB4',
+  colorMode: 'last',  // how picks become the room color — set by the host
+  spotlight: null,    // { active, holder, queue, pinned, turnMs, remainingMs, receivedAt } in spotlight mode
   roomCount: 0,
   totalColorChanges: 0,
   messageLog: [],       // for demo terminal
@@ -43,6 +54,8 @@ const state = {
   currentPhoto: 0,
   textResponses: [],
   questions: [],
+  voted: new Set(),     // ids of the questions we upvoted — from 'joined', then 'voted'
+  answeringDismissed: null, // id of the "answering now" question we closed — stays closed
   // Slides system
   slides: [],           // populated by server on welcome
   currentSlide: 0,
@@ -125,6 +138,11 @@ function handleDrawerColorTap(color, btn) {
     return;
   }
 
+  if (waitingForSpotlight()) {
+    closeColorDrawer();
+    return;
+  }
+
   const now = Date.now();
   if (now - lastColorTapAt < COLOR_TAP_RATE_MS) return;
   lastColorTapAt = now;
@@ -146,9 +164,9 @@ function handleDrawerColorTap(color, btn) {
   state.totalColorChanges++;
   const countEl = $('demo-count-number');
   if (countEl) countEl.textContent = state.totalColorChanges > 0 ? state.totalColorChanges : '—';
-  appendTerminalLine(state.name || 'Anonymous', color.hex, color.hex);
+  appendTerminalLine(state.name || 'Anonymous', color.hex, color.hex, state.sid);
 
-  setRoomColor(color.hex);
+  if (state.colorMode === 'last') setRoomColor(color.hex);
   updateAmbientTag();
   showZapFeedback(color.hex);
   syncColorBubble(color.hex);
@@ -273,8 +291,47 @@ function wireWebSocket() {
   });
 
   ws.addEventListener('disconnected', () => {
-    setConnectionStatus('disconnected', true);
-    showOfflineBanner(true);
+    setConnectionStatus(state.roomClosed ? 'room closed' : 'disconnected', true);
+    showOfflineBanner(!state.roomClosed);
+  });
+
+  ws.onMessage('room_closed', ({ reason }) => {
+    state.roomClosed = true;
+    ws.destroy();
+    showToast(reason || 'This room has closed', '#888899');
+  });
+
+  // ── Moderation — the server enforces all of it; these just explain ──
+
+  ws.onMessage('join_refused', (data) => {
+    state.joined = false;
+    showJoinRefused(data);
+  });
+
+  // Back to the join screen; rejoining returns to whatever the talk is on
+  ws.onMessage('kicked', ({ until }) => {
+    state.joined = false;
+    state._pendingMode = state.mode === 'lobby' ? null : state.mode;
+    switchMode('lobby');
+    showJoinRefused({ reason: 'kicked', until });
+  });
+
+  ws.onMessage('muted', ({ muted }) => {
+    state.muted = muted;
+    showToast(muted ? 'The host muted your questions and answers' : 'You can post again', '#888899');
+  });
+
+  // Every name on screen is tagged with the student's data-sid, so feeds and
+  // the demo terminal can follow a rename
+  ws.onMessage('renamed', ({ sid, to }) => {
+    document.querySelectorAll(`[data-sid="${CSS.escape(sid)}"]`).forEach(el => {
+      el.textContent = to;
+    });
+    if (state.sid === sid) {
+      state.name = to;
+      $('lobby-joined-msg').textContent = `You're in, ${to}.`;
+      showToast(`The host renamed you to ${to}`, '#888899');
+    }
   });
 
   ws.addEventListener('reconnecting', (e) => {
@@ -296,12 +353,27 @@ function wireWebSocket() {
 
   // Another student sent a color → update room color
   ws.onMessage('color', (data) => {
-    setRoomColor(data.hex);
-    appendTerminalLine(data.name, data.hex, data.hex);
+    // Outside last-tap-wins a pick isn't the room color yet — wait for room_color
+    if (state.colorMode === 'last') setRoomColor(data.hex);
+    appendTerminalLine(data.name, data.hex, data.hex, data.sid);
     state.totalColorChanges++;
     $('demo-count-number').textContent = state.totalColorChanges > 0 ? state.totalColorChanges : '—';
   });
 
+  // Blend / vote / turns settled on a color for a zone
+  ws.onMessage('room_color', ({ hex }) => {
+    setRoomColor(hex);
+  });
+
+  ws.onMessage('color_mode', ({ mode }) => {
+    setColorMode(mode);
+  });
+
+  // Spotlight queue changed — new holder, someone joined/left, pin/skip
+  ws.onMessage('spotlight', (data) => {
+    setSpotlight(data);
+  });
+
   // Reaction from any student (including self — server echoes)
   ws.onMessage('reaction', ({ name, emoji }) => {
     bumpReaction(emoji);
@@ -310,18 +382,94 @@ function wireWebSocket() {
 
   // Free-text response from any student (server echo — skip if we sent it ourselves)
   ws.onMessage('text_response', (data) => {
-    const key = `${data.name}::${data.text}`;
+    const key = `${data.sid}::${data.text}`;
     if (_selfSentTexts.has(key)) { _selfSentTexts.delete(key); return; }
+    if (releaseHeld(data.id)) return;
     addTextFeedItem(data);
   });
 
   // Question submitted by any student (server echo — skip if we sent it ourselves)
   ws.onMessage('question', (data) => {
-    const key = `${data.name}::${data.text}`;
-    if (_selfSentQAs.has(key)) { _selfSentQAs.delete(key); return; }
+    const key = `${data.sid}::${data.text}`;
+    const mine = _selfSentQAs.get(key);
+    if (mine) {
+      _selfSentQAs.delete(key);
+      if (data.id) updateQuestionItem(mine, data);
+      return;
+    }
+    const held = releaseHeld(data.id);
+    if (held) {
+      updateQuestionItem(held, data);
+      rankQAFeed();
+      return;
+    }
     addQAFeedItem(data);
   });
 
+  // Votes, answered or pinned changed — the board re-sorts
+  ws.onMessage('question_update', (data) => {
+    const item = $('qa-feed').querySelector(`[data-question-id="${CSS.escape(data.id)}"]`);
+    if (!item) return;
+    updateQuestionItem(item, data);
+    rankQAFeed();
+  });
+
+  // The host is answering this question now (id null: done)
+  ws.onMessage('question_spotlight', (data) => {
+    showAnswering(data);
+  });
+
+  // Our own vote went through (from this phone or another of ours)
+  ws.onMessage('voted', ({ id, vote }) => {
+    if (vote) state.voted.add(id);
+    else state.voted.delete(id);
+    const item = $('qa-feed').querySelector(`[data-question-id="${CSS.escape(id)}"]`);
+    if (item) updateQuestionItem(item, {});
+  });
+
+  // Pre-moderation: our post is waiting for a moderator. It stays in our own
+  // feed, dimmed, until it's approved (comes back as a normal broadcast) or not.
+  ws.onMessage('held', ({ kind, id, text }) => {
+    const sent = kind === 'question' ? _selfSentQAs : _selfSentTexts;
+    const key = `${state.sid}::${text}`;
+    const mine = sent.get(key);
+    sent.delete(key);
+    if (mine) {
+      mine.dataset.pendingId = id;
+      mine.classList.add('feed-item--pending');
+    }
+    showToast('Sent — waiting for the host to approve it', '#888899');
+  });
+
+  // The word filter caught our post: rewrite our copy to what everyone else
+  // sees, or take it down if it wasn't sent on
+  ws.onMessage('filtered', ({ kind, text, action, masked }) => {
+    const sent = kind === 'question' ? _selfSentQAs : _selfSentTexts;
+    const key = `${state.sid}::${text}`;
+    const mine = sent.get(key);
+    sent.delete(key);
+    if (action === 'reject') {
+      mine?.remove();
+      showToast('That wasn\'t sent — it didn\'t get past the filter', '#888899');
+      return;
+    }
+    if (mine) {
+      mine.lastChild.textContent = masked; // the post's text is the item's last node
+      sent.set(`${state.sid}::${masked}`, mine);
+    }
+  });
+
+  ws.onMessage('rejected', ({ id }) => {
+    document.querySelector(`[data-pending-id="${CSS.escape(id)}"]`)?.remove();
+    showToast('The host didn\'t put that one up', '#888899');
+  });
+
+  // A moderator took a question down
+  ws.onMessage('question_hidden', (data) => {
+    state.voted.delete(data.id);
+    $('qa-feed').querySelector(`[data-question-id="${CSS.escape(data.id)}"]`)?.remove();
+  });
+
   // Server welcome — contains initial state (fires on connect AND reconnect)
   ws.onMessage('welcome', (data) => {
     if (data.count !== undefined) updateLobbyCount(data.count);
@@ -369,6 +517,8 @@ function wireWebSocket() {
       renderSlide(state.slides[state.currentSlide]);
     }
     if (data.roomColor) setRoomColor(data.roomColor);
+    if (data.colorMode) setColorMode(data.colorMode);
+    if (data.spotlight) setSpotlight(data.spotlight);
     if (data.reactionCounts) {
       // Sync cumulative reaction counts from server — fixes late joiners seeing "0" for all
       Object.entries(data.reactionCounts).forEach(([emoji, count]) => {
@@ -390,6 +540,7 @@ function wireWebSocket() {
       $('qa-feed').innerHTML = '';
       data.questions.forEach(q => addQAFeedItem(q, false));
     }
+    if (data.questionSpotlight) showAnswering(data.questionSpotlight);
 
     // CRITICAL: Re-register with the server after reconnect.
     // The server's client record is reset on each WS connection — if the student
@@ -397,7 +548,11 @@ function wireWebSocket() {
     // knows their name. Without this, post-reconnect color/reaction/text sends
     // are silently dropped (server guards: if (!client.name) return).
     if (state.joined && state.name) {
-      ws.sendJoin(state.name, state.lastSentHex || state.colorHex);
+      ws.sendJoin(state.name, state.lastSentHex || state.colorHex, state.team, state.device);
+    } else if (state.device) {
+      // Joined from this phone before (a reload, a new tab) — ask to come
+      // back as that student; the join form stays up if the server doesn't know us
+      ws.sendResume(state.device, state.team);
     }
   });
 
@@ -412,9 +567,19 @@ function wireWebSocket() {
   });
 
   // Server confirms join
-  ws.onMessage('joined', ({ count }) => {
+  ws.onMessage('joined', ({ count, sid, device, name, hex, colorsSent, voted = [] }) => {
     updateLobbyCount(count);
     state.joined = true;
+    state.sid = sid;
+    state.device = device;
+    saveDevice(device);
+    // The word filter may have masked part of the name we sent; a resume
+    // brings back the name and color from last time
+    state.name = name;
+    state.colorsSent = colorsSent;
+    if (hex !== state.colorHex) resumeColor(hex);
+    state.voted = new Set(voted);
+    $('qa-feed').querySelectorAll('[data-question-id]').forEach(item => updateQuestionItem(item, {}));
     showJoinedState();
 
     // Late joiner: switch to current mode after showing join confirmation briefly
@@ -487,6 +652,16 @@ function wireUI() {
 
   // Q&A form
   $('qa-submit-btn').addEventListener('click', () => handleQASubmit());
+  $('qa-spotlight-close').addEventListener('click', () => {
+    state.answeringDismissed = $('qa-spotlight').dataset.questionId;
+    $('qa-spotlight').classList.add('hidden');
+  });
+  $('qa-feed').addEventListener('click', e => {
+    const btn = e.target.closest('.qa-vote');
+    const id = btn?.closest('[data-question-id]')?.dataset.questionId;
+    // The arrow lights when the server says the vote counted ('voted')
+    if (id && !btn.disabled) ws.sendVote(id, !state.voted.has(id));
+  });
   $('qa-input').addEventListener('keydown', e => {
     if (e.key === 'Enter') {
       e.preventDefault(); // prevent newline/form submission on Android soft keyboard
@@ -566,6 +741,36 @@ function selectLobbyColor(color, btn) {
   document.documentElement.style.setProperty('--room-btn-text', contrastColor(color.hex));
 }
 
+// A resumed student gets their last color back — selected in the lobby, and
+// what a rejoin after a reconnect sends
+function resumeColor(hex) {
+  const color = findByHex(hex);
+  const btn = color && $('lobby-palette').querySelector(`[data-hex="${CSS.escape(color.hex)}"]`);
+  if (!btn) return;
+  selectLobbyColor(color, btn);
+  state.lastSentHex  = color.hex;
+  state.lastSentName = color.name;
+}
+
+// localStorage can be off (private browsing) — then every visit is a new student
+const DEVICE_KEY = 'lr_device';
+
+function loadDevice() {
+  try {
+    return localStorage.getItem(DEVICE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function saveDevice(device) {
+  try {
+    localStorage.setItem(DEVICE_KEY, device);
+  } catch {
+    // nothing to do — we just won't be recognised after a reload
+  }
+}
+
 // Simple title-case: capitalize first letter of each word.
 // Prevents ALL-CAPS names from looking like the app is shouting.
 function toTitleCase(str) {
@@ -597,10 +802,12 @@ function handleJoin() {
     return;
   }
 
+  $('lobby-refused').classList.add('hidden');
+
   // Normalize to title case so "JESSICA" → "Jessica", "jessica" → "Jessica"
   const name = toTitleCase(rawName);
   state.name = name;
-  ws.sendJoin(name, state.colorHex);
+  ws.sendJoin(name, state.colorHex, state.team, state.device);
 
   // Show a pending state — set joined=true only when server confirms via 'joined'.
   // If the server rejects the name (invisible chars, etc.) state.joined stays false
@@ -618,8 +825,23 @@ function handleJoin() {
     }
   }, 5000);
 
-  // Cancel the timeout once the server confirms
+  // Cancel the timeout once the server confirms — or refuses
   ws.addEventListener('msg:joined', () => clearTimeout(joinTimeout), { once: true });
+  ws.addEventListener('msg:join_refused', () => clearTimeout(joinTimeout), { once: true });
+}
+
+// Kicked (and still cooling down), the room is locked or the word filter
+// refused the name — back to the form, with why
+function showJoinRefused({ reason, until }) {
+  $('lobby-joined').classList.add('hidden');
+  $('lobby-form-view').classList.remove('hidden');
+  const note = $('lobby-refused');
+  note.textContent = reason === 'locked'
+    ? 'The room is locked — the host isn\'t letting anyone new in right now.'
+    : reason === 'name'
+      ? 'That name isn\'t allowed here — try another one.'
+      : `The host removed you from the room. You can rejoin in ${Math.max(1, Math.ceil((until - Date.now()) / 60000))} min.`;
+  note.classList.remove('hidden');
 }
 
 function showJoinedState() {
@@ -767,6 +989,9 @@ function handleColorTap(color, btn) {
     return;
   }
 
+  // Spotlight mode — the server drops picks from anyone but the holder
+  if (waitingForSpotlight()) return;
+
   // Client-side rate limit — drop taps that arrive too fast
   const now = Date.now();
   if (now - lastColorTapAt < COLOR_TAP_RATE_MS) return;
@@ -791,19 +1016,20 @@ function handleColorTap(color, btn) {
   // increment totalColorChanges here for our own taps to show in the demo counter.
   state.totalColorChanges++;
   $('demo-count-number').textContent = state.totalColorChanges > 0 ? state.totalColorChanges : '—';
-  appendTerminalLine(state.name || 'Anonymous', color.hex, color.hex);
+  appendTerminalLine(state.name || 'Anonymous', color.hex, color.hex, state.sid);
 
   // Update bottom strip — set both the CSS var and direct background for max compat
   $('sent-color-swatch').style.setProperty('--current-color', color.hex);
   $('sent-color-swatch').style.background = color.hex;
   $('sent-color-name').textContent = color.name;
-  $('sent-color-status').textContent = 'sent';
+  $('sent-color-status').textContent = COLOR_MODE_SENT[state.colorMode] ?? 'sent';
 
   // ZAP animation
   showZapFeedback(color.hex);
 
-  // Update ambient bg if we're in ambient mode
-  setRoomColor(color.hex);
+  // Update ambient bg if we're in ambient mode — only our own pick is the
+  // room color in last-tap-wins; other modes wait for the server's room_color
+  if (state.colorMode === 'last') setRoomColor(color.hex);
 
   // Update ambient user tag
   updateAmbientTag();
@@ -816,6 +1042,90 @@ function handleColorTap(color, btn) {
   }, 2000);
 }
 
+// ─── Color mode ────────────────────────────────────────────────────────────
+
+const COLOR_MODE_HINTS = {
+  last:  'last tap wins',
+  blend: 'blend — every pick mixes into the color',
+  vote:  'vote — most-picked color wins every 5s',
+  turns: 'turns — picks queue up, 4s each',
+  spotlight: 'spotlight — one student at a time',
+};
+
+const COLOR_MODE_SENT = { last: 'sent', blend: 'mixed in', vote: 'voted', turns: 'queued', spotlight: 'sent' };
+
+function setColorMode(mode) {
+  if (!COLOR_MODE_HINTS[mode]) return;
+  state.colorMode = mode;
+  $('color-mode-hint').textContent = COLOR_MODE_HINTS[mode];
+}
+
+// ─── Spotlight ─────────────────────────────────────────────────────────────
+// Server sends remainingMs rather than a clock time; we count down locally
+// from when the message arrived so a skewed phone clock doesn't matter.
+
+let spotlightTimer = null;
+
+function setSpotlight(data) {
+  state.spotlight = data.active ? { ...data, receivedAt: Date.now() } : null;
+  clearInterval(spotlightTimer);
+  spotlightTimer = state.spotlight ? setInterval(renderSpotlight, 500) : null;
+  renderSpotlight();
+}
+
+// How many turns until ours: 0 = we hold it, -1 = not in the queue
+function spotlightPosition() {
+  return state.spotlight ? state.spotlight.queue.indexOf(state.sid) : -1;
+}
+
+function renderSpotlight() {
+  const banner = $('spotlight-banner');
+  const sp = state.spotlight;
+  if (!sp || !state.joined) {
+    banner.style.display = 'none';
+    $('color-grid-main').classList.remove('is-waiting');
+    return;
+  }
+
+  const pos = spotlightPosition();
+  const holder = sp.names[sp.holder];
+  const left = sp.remainingMs === null
+    ? null
+    : Math.max(0, sp.remainingMs - (Date.now() - sp.receivedAt));
+
+  banner.style.display = '';
+  banner.classList.toggle('is-holder', pos === 0);
+  $('color-grid-main').classList.toggle('is-waiting', pos !== 0);
+
+  if (pos === 0) {
+    $('spotlight-headline').textContent = "you're in the spotlight!";
+    $('spotlight-countdown').textContent = left === null ? 'the lights are yours' : `${formatCountdown(left)} left`;
+  } else if (pos > 0) {
+    $('spotlight-headline').textContent = pos === 1 ? "you're up next" : `you're up in ${pos}`;
+    // Our wait: the rest of this turn plus a full turn for everyone ahead of us
+    $('spotlight-countdown').textContent = left === null
+      ? `${holder} has the lights`
+      : `about ${formatCountdown(left + (pos - 1) * sp.turnMs)}`;
+  } else {
+    $('spotlight-headline').textContent = sp.holder ? `${holder} has the lights` : 'waiting for students';
+    $('spotlight-countdown').textContent = '';
+  }
+}
+
+function formatCountdown(ms) {
+  const s = Math.ceil(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// True (and tells the student why) when a tap would be dropped by the server
+function waitingForSpotlight() {
+  if (state.colorMode !== 'spotlight' || !state.spotlight) return false;
+  const pos = spotlightPosition();
+  if (pos === 0) return false;
+  showToast(pos > 0 ? `Wait for your turn — you're up in ${pos}` : 'Wait for your turn', '#888899');
+  return true;
+}
+
 function showZapFeedback(hex) {
   const layer = $('zap-layer');
   const zap = document.createElement('div');
@@ -1179,6 +1489,10 @@ const CLIENT_QUESTION_RATE_MS = 5000;
 function submitParkedQuestion() {
   const text = fullTrim($('park-input').value);
   if (!text) return;
+  if (state.muted) {
+    showToast('The host has muted you', '#888899');
+    return;
+  }
 
   // Prevent double-submit on rapid taps
   const btn = $('park-submit-btn');
@@ -1211,6 +1525,10 @@ function handleTextSubmit() {
   const input = $('text-input');
   const text = fullTrim(input.value);
   if (!text) return;
+  if (state.muted) {
+    showToast('The host has muted you', '#888899');
+    return;
+  }
 
   // Client-side rate limit mirrors server 8s guard — show feedback instead of silent drop
   const now = Date.now();
@@ -1225,9 +1543,8 @@ function handleTextSubmit() {
   lastTextSentAt = now;
 
   // Add optimistically — mark so server echo doesn't double-add
-  const key = `${state.name}::${text}`;
-  _selfSentTexts.add(key);
-  addTextFeedItem({ name: state.name, text, hex: state.colorHex }, true);
+  const key = `${state.sid}::${text}`;
+  _selfSentTexts.set(key, addTextFeedItem({ sid: state.sid, name: state.name, text, hex: state.colorHex }, true));
 
   ws.sendTextResponse(state.name || 'Anonymous', text);
   input.value = '';
@@ -1239,7 +1556,7 @@ function handleTextSubmit() {
   }, 1500);
 }
 
-function addTextFeedItem({ name, text, hex }, animate = true) {
+function addTextFeedItem({ sid, name, text, hex }, animate = true) {
   const feed = $('text-feed');
   const item = document.createElement('div');
   item.className = 'feed-item';
@@ -1248,7 +1565,7 @@ function addTextFeedItem({ name, text, hex }, animate = true) {
 
   item.innerHTML = `
     <span class="feed-item__name">
-      <span class="feed-item__dot"></span>${escHtml(name)}
+      <span class="feed-item__dot"></span><span data-sid="${escHtml(sid ?? '')}">${escHtml(name)}</span>
     </span>
     ${escHtml(text)}
   `;
@@ -1261,6 +1578,17 @@ function addTextFeedItem({ name, text, hex }, animate = true) {
   }
 
   feed.scrollTop = feed.scrollHeight;
+  return item;
+}
+
+// An approved post of ours is already on screen, dimmed — undim it instead of
+// adding it again. @returns the item, or null if it isn't one of ours
+function releaseHeld(id) {
+  const item = id && document.querySelector(`[data-pending-id="${CSS.escape(id)}"]`);
+  if (!item) return null;
+  item.classList.remove('feed-item--pending');
+  delete item.dataset.pendingId;
+  return item;
 }
 
 // ─── Q&A ───────────────────────────────────────────────────────────────────
@@ -1280,6 +1608,10 @@ function handleQASubmit() {
     input.focus();
     return;
   }
+  if (state.muted) {
+    showToast('The host has muted you', '#888899');
+    return;
+  }
 
   // Client-side rate limit mirrors server 5s guard — gives user feedback instead of silent drop
   const now = Date.now();
@@ -1291,9 +1623,10 @@ function handleQASubmit() {
   lastQuestionSentAt = now;
 
   // Add optimistically — mark so server echo doesn't double-add
-  const key = `${state.name}::${text}`;
-  _selfSentQAs.add(key);
-  addQAFeedItem({ name: state.name, text: text, hex: state.colorHex }, true);
+  const key = `${state.sid}::${text}`;
+  const item = addQAFeedItem({ sid: state.sid, name: state.name, text: text, hex: state.colorHex }, true);
+  _selfSentQAs.set(key, item);
+  item.scrollIntoView({ block: 'nearest' });
 
   ws.sendQuestion(state.name || 'Anonymous', text);
   input.value = '';
@@ -1309,7 +1642,7 @@ function handleQASubmit() {
   }, 1200);
 }
 
-function addQAFeedItem({ name, text, hex }, animate = true) {
+function addQAFeedItem({ id, sid, name, text, hex, at, votes = 0, answered = false, pinned = false }, animate = true) {
   const feed = $('qa-feed');
   // Remove placeholder on first real question
   const placeholder = $('qa-feed-placeholder');
@@ -1317,24 +1650,77 @@ function addQAFeedItem({ name, text, hex }, animate = true) {
 
   const item = document.createElement('div');
   item.className = 'feed-item';
+  item.dataset.at = at ?? Date.now();
   item.style.setProperty('--item-color', hex || '#FF6EB4');
   if (!animate) item.style.animation = 'none';
 
   item.innerHTML = `
     <span class="feed-item__name">
-      <span class="feed-item__dot"></span>${escHtml(name)}
+      <span class="feed-item__dot"></span><span data-sid="${escHtml(sid ?? '')}">${escHtml(name)}</span>
     </span>
     ${escHtml(text)}
   `;
+  // First, so the post's text stays the item's last node (see 'filtered')
+  item.insertAdjacentHTML('afterbegin', '<button class="qa-vote" type="button" aria-label="Upvote">▲ <span>0</span></button>');
+  updateQuestionItem(item, { id, votes, answered, pinned });
 
   feed.appendChild(item);
+  rankQAFeed();
 
-  // Cap DOM at 60 items — Q&A can fill up fast with a full class
+  // Cap DOM at 60 items — Q&A can fill up fast with a full class. The bottom
+  // of the board goes: answered, then the oldest of the least-voted
   while (feed.children.length > 60) {
-    feed.removeChild(feed.firstChild);
+    feed.removeChild(feed.lastChild);
   }
 
-  feed.scrollTop = feed.scrollHeight;
+  return item;
+}
+
+// Our own question has no id until the server echoes it — no voting on it till then
+function updateQuestionItem(item, { id, votes, answered, pinned }) {
+  if (id) item.dataset.questionId = id;
+  if (votes !== undefined) item.dataset.votes = votes;
+  if (answered !== undefined) item.classList.toggle('feed-item--answered', answered);
+  if (pinned !== undefined) item.classList.toggle('feed-item--pinned', pinned);
+
+  const btn = item.querySelector('.qa-vote');
+  const voted = state.voted.has(item.dataset.questionId);
+  btn.hidden = !item.dataset.questionId;
+  btn.disabled = item.classList.contains('feed-item--answered');
+  btn.setAttribute('aria-pressed', String(voted));
+  btn.lastChild.textContent = item.dataset.votes ?? 0;
+}
+
+// "Answering now" — full screen over the Q&A board. It sits inside
+// #screen-qa, so outside qa mode it waits there until the mode comes round.
+function showAnswering({ id, sid, name, text, hex }) {
+  const overlay = $('qa-spotlight');
+  if (!id || id === state.answeringDismissed) {
+    overlay.classList.add('hidden');
+    return;
+  }
+  overlay.dataset.questionId = id;
+  overlay.style.setProperty('--item-color', hex || '#FF6EB4');
+  overlay.querySelector('.qa-spotlight__label').textContent = sid && sid === state.sid ? 'answering your question' : 'answering now';
+  $('qa-spotlight-text').textContent = text;
+  const nameEl = $('qa-spotlight-name');
+  nameEl.dataset.sid = sid ?? '';
+  nameEl.textContent = name;
+  overlay.classList.remove('hidden');
+}
+
+// Same order as the host's list and the server's rankQuestions: the pinned
+// question, then open ones by votes, then answered; ties go to the newest
+function rankQAFeed() {
+  const feed = $('qa-feed');
+  const rank = item => (item.classList.contains('feed-item--pinned') ? 0 : item.classList.contains('feed-item--answered') ? 2 : 1);
+  const items = [...feed.querySelectorAll('.feed-item')];
+  items.sort((a, b) =>
+    rank(a) - rank(b) || (b.dataset.votes ?? 0) - (a.dataset.votes ?? 0) || b.dataset.at - a.dataset.at);
+  // Only move what's out of place — a moved item replays its slide-in
+  items.forEach((item, i) => {
+    if (feed.children[i] !== item) feed.insertBefore(item, feed.children[i]);
+  });
 }
 
 // ─── Photo/slide compat stub (photos array kept for legacy welcome data) ────
@@ -1342,12 +1728,12 @@ function addQAFeedItem({ name, text, hex }, animate = true) {
 
 // ─── Demo reveal ────────────────────────────────────────────────────────────
 
-function appendTerminalLine(name, hex, originalHex) {
+function appendTerminalLine(name, hex, originalHex, sid = '') {
   const terminal = $('demo-terminal');
 
   const line = document.createElement('div');
   line.innerHTML = `
-    <span class="terminal-line terminal-line--name" style="--item-color:${escAttr(originalHex)}">${escHtml(name)}</span><span class="terminal-line"> → ${escHtml(originalHex)}</span>
+    <span class="terminal-line terminal-line--name" style="--item-color:${escAttr(originalHex)}" data-sid="${escHtml(sid)}">${escHtml(name)}</span><span class="terminal-line"> → ${escHtml(originalHex)}</span>
   `;
 
   terminal.appendChild(line);
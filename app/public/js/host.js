@@ -1,34 +1,53 @@
 /**
  * host.js — Host Dashboard Controller
  *
- * Auth: simple query param ?key=XXX, compared against env var HOST_KEY.
- * The server validates the key on the WebSocket handshake headers for
- * privileged message types (mode_change, host_color). Plain JS auth
- * gate here is UX sugar — real security is server-side.
+ * Auth: the gate POSTs the host key to /auth once; the server answers with a
+ * signed, short-lived session cookie (HttpOnly — this script never sees it).
+ * The cookie rides along on every fetch and on the WebSocket upgrade, and the
+ * server checks it there. When it expires or is revoked the server sends
+ * session_expired and the gate comes back. The gate itself is UX sugar —
+ * real security is server-side.
+ *
+ * Roles: the key decides who you are — presenter, co-host or moderator (see
+ * server/roles.js). host_role says what this dashboard may do; anything
+ * marked data-perm="…" in host.html that the role lacks stays hidden. Invite
+ * links (/host?invite=TOKEN) log a co-host or moderator straight in: the token
+ * is signed and expires, and stands in for the key on /auth.
  *
  * All host actions send to the server, which broadcasts to students.
  */
 
-import { ws } from './ws-client.js';
+import { ws, ROOM_BASE } from './ws-client.js';
 import { PALETTE, deriveDitherPair, findByHex } from './palette.js';
 
-// ─── Auth ──────────────────────────────────────────────────────────────────
-
-const params = new URLSearchParams(location.search);
-const KEY = params.get('key') || '';
-
 // Host state
 const state = {
   authed: false,
+  role: null,          // 'presenter' | 'cohost' | 'moderator' — from host_role
+  permissions: [],     // what the role may do (see server/roles.js)
   currentMode: 'lobby',
   studentCount: 0,
   totalColors: 0,
   reactionCounts: { '👀': 0, '💡': 0, '🔥': 0, '😮': 0 },
-  students: new Map(), // name → { hex, colorsSent }
+  students: new Map(), // sid → { name, hex, zone, colorsSent } — sid, not name: two Emmas are two students
+  moderation: { locked: false, premod: false, muted: [], kicked: [] }, // pushed by server — kicked: [{ name, until }]
+  questionSpotlight: null, // id of the question being answered now — on every phone in qa mode
+  pending: [],         // held for review: [{ type, id, name, text, hex, at }] — pre-moderation
+  filtered: [],        // what the word filter caught: [{ kind, name, text, action, words, at }]
+  zones: [],           // [{ id, bulbs, hex, owner, students }] — pushed by server
+  bulbs: [],           // bulb health snapshot — pushed by server every poll
+  fx: { scene: null, fadeMs: 400, pulse: true, breathe: true },
+  colorMode: 'last',   // how student picks become the room color
+  hostLook: null,      // last thing the host sent: { hex } | { temp } | { sceneId }
+  brightness: 90,      // host brightness slider, sent with every host_color
+  houseLights: false,  // bulbs showing their pre-talk state instead of the room color
+  spotlight: null,     // { active, holder, queue, names, pinned, turnMs, remainingMs, receivedAt } — holder and queue are sids
+  replay: null,        // { file, speed, paused, positionMs, durationMs, events, played } — replay mode only
+  roomClosed: false,   // the admin closed this room — stop reconnecting
+  sessionExpired: false, // host session ended with the page open — a re-login reloads
   questions: [],
   textResponses: [],
   roomColorHex: '#FF6EB4',
-  hostKey: KEY,
   // Slides
   slides: [],
   currentSlideIndex: 0,
@@ -43,34 +62,58 @@ const $ = id => document.getElementById(id);
 // ─── Boot ──────────────────────────────────────────────────────────────────
 
 function boot() {
-  // Check for key in URL first
-  if (KEY) {
-    attemptAuth(KEY);
+  // Invite link: log in with the token it carries, then take it out of the URL
+  // bar so it isn't shared by accident
+  const invite = new URLSearchParams(location.search).get('invite');
+  if (invite) {
+    history.replaceState({}, '', `${ROOM_BASE}/host`);
+    attemptAuth({ invite });
   } else {
-    showAuthGate();
+    // Still holding a session cookie from earlier? Straight in.
+    checkSession();
   }
 
   $('auth-form').addEventListener('submit', e => {
     e.preventDefault();
     const key = $('auth-input').value.trim();
-    attemptAuth(key);
+    attemptAuth({ key });
   });
+
+  $('logout-btn').addEventListener('click', logout);
+}
+
+function checkSession() {
+  fetch(`${ROOM_BASE}/auth`)
+    .then(r => {
+      if (r.ok) {
+        state.authed = true;
+        showDashboard();
+        connectHost();
+      } else {
+        showAuthGate();
+      }
+    })
+    .catch(() => showAuthGate());
 }
 
-function attemptAuth(key) {
+// credentials: { key } from the form, or { invite } from an invite link
+function attemptAuth(credentials) {
   // Send auth attempt to server via HTTP before upgrading to WS
-  fetch('/auth', {
+  fetch(`${ROOM_BASE}/auth`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ key }),
+    body: JSON.stringify(credentials),
   })
     .then(r => {
       if (r.ok) {
+        // The socket was opened with the old cookie (if any) — the new one
+        // only counts on a fresh connection, so a re-login just reloads
+        if (state.sessionExpired) {
+          location.reload();
+          return;
+        }
         state.authed = true;
-        state.hostKey = key;
-        // Strip the key from the URL bar — prevents shoulder-surfing and
-        // accidental sharing of the URL with the key visible.
-        history.replaceState({}, '', '/host');
+        $('auth-input').value = '';
         showDashboard();
         connectHost();
       } else {
@@ -85,9 +128,25 @@ function attemptAuth(key) {
     });
 }
 
-function showAuthGate() {
+function showAuthGate(message) {
   $('auth-gate').style.display = 'flex';
   $('host-dashboard').style.display = 'none';
+  if (message) {
+    const err = $('auth-error');
+    err.textContent = message;
+    err.style.display = 'block';
+  }
+}
+
+function logout() {
+  // Drop the socket first so the server's session_expired doesn't land here.
+  // Logging back in needs a fresh one anyway, same as after expiry.
+  state.authed = false;
+  state.sessionExpired = true;
+  ws.destroy();
+  fetch(`${ROOM_BASE}/auth/logout`, { method: 'POST' })
+    .catch(() => {})
+    .finally(() => showAuthGate());
 }
 
 function showDashboard() {
@@ -97,11 +156,69 @@ function showDashboard() {
 
 function showAuthError() {
   const err = $('auth-error');
+  err.textContent = 'Wrong key. Try again.';
   err.style.display = 'block';
   $('auth-input').value = '';
   $('auth-input').focus();
 }
 
+// ─── Roles ─────────────────────────────────────────────────────────────────
+
+const ROLE_LABELS = { presenter: 'presenter', cohost: 'co-host', moderator: 'moderator' };
+
+function can(permission) {
+  return state.permissions.includes(permission);
+}
+
+// Show what this role can use, hide the rest. The server refuses anything
+// else regardless — this just keeps dead buttons off the screen.
+function applyPermissions() {
+  document.querySelectorAll('[data-perm]').forEach(el => {
+    el.hidden = !can(el.dataset.perm);
+  });
+  $('host-role-label').textContent = ROLE_LABELS[state.role] ?? '';
+  if (can('team')) loadInvites();
+}
+
+async function loadInvites() {
+  const list = $('invite-list');
+  try {
+    const res = await fetch(`${ROOM_BASE}/api/invites`);
+    if (!res.ok) throw new Error(res.status);
+    const invites = await res.json();
+    list.innerHTML = '';
+    [['cohost', 'Co-host — modes and slides'], ['moderator', 'Moderator — questions']].forEach(([role, label]) => {
+      const row = document.createElement('div');
+      const url = invites[role] ? `${location.origin}${invites[role]}` : null;
+      row.innerHTML = `
+        <p style="font-size:var(--text-xs);color:var(--color-text-dim);margin-bottom:var(--space-2)">${escHtml(label)}</p>
+        ${url
+          ? `<div style="display:flex;gap:var(--space-2)">
+              <input class="input-pixel" readonly value="${escHtml(url)}" aria-label="${escHtml(ROLE_LABELS[role])} invite link" style="flex:1;font-size:var(--text-2xs)">
+              <button class="btn-pixel btn-pixel--sm">Copy</button>
+            </div>`
+          : `<p class="empty-state">No ${escHtml(ROLE_LABELS[role])} key set for this room.</p>`}
+      `;
+      row.querySelector('button')?.addEventListener('click', e => {
+        navigator.clipboard?.writeText(url).then(() => {
+          e.target.textContent = 'Copied';
+          setTimeout(() => { e.target.textContent = 'Copy'; }, 1500);
+        });
+      });
+      list.appendChild(row);
+    });
+    // The links expire; the next login or reload makes fresh ones
+    if (invites.exp) {
+      const note = document.createElement('p');
+      note.style.cssText = 'font-size:var(--text-2xs);color:var(--color-text-dim)';
+      note.textContent = `Links work until ${new Date(invites.exp).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}.`;
+      list.appendChild(note);
+    }
+  } catch {
+    list.innerHTML = '<p class="empty-state">Could not load invite links.</p>';
+  }
+}
+
 // ─── WebSocket ─────────────────────────────────────────────────────────────
 
 function connectHost() {
@@ -114,16 +231,37 @@ function connectHost() {
     pill.style.color = '';  // let CSS class handle it
 
     // Announce as host
-    ws.send({ type: 'host_join', key: state.hostKey });
+    ws.send({ type: 'host_join' });
   });
 
   ws.addEventListener('disconnected', () => {
     const pill = $('host-status-pill');
-    pill.textContent = 'offline';
+    pill.textContent = state.roomClosed ? 'room closed' : 'offline';
     pill.classList.remove('is-live');
     pill.style.color = '#ff6b6b';
   });
 
+  ws.onMessage('room_closed', () => {
+    state.roomClosed = true;
+    ws.destroy();
+  });
+
+  // What this dashboard may do — sent once host_join is accepted
+  ws.onMessage('host_role', (data) => {
+    state.role = data.role;
+    state.permissions = data.permissions ?? [];
+    applyPermissions();
+  });
+
+  // Session ran out (or was logged out elsewhere) — the server has already
+  // demoted this socket to a plain viewer, so put the gate back up
+  ws.onMessage('session_expired', () => {
+    state.authed = false;
+    state.sessionExpired = true;
+    ws.destroy();
+    showAuthGate('Session expired — enter the key again.');
+  });
+
   ws.onMessage('welcome', (data) => {
     if (data.count !== undefined) updateStudentCount(data.count);
     if (data.mode) setActiveMode(data.mode);
@@ -133,11 +271,13 @@ function connectHost() {
     }
     if (data.students) {
       data.students.forEach(s => {
-        state.students.set(s.name, { hex: s.hex, colorsSent: s.colorsSent || 0 });
+        state.students.set(s.sid, { name: s.name, hex: s.hex, zone: s.zone, colorsSent: s.colorsSent || 0 });
       });
       renderStudentList();
     }
     if (data.roomColor) setRoomColor(data.roomColor);
+    if (data.colorMode) setColorMode(data.colorMode);
+    if (data.spotlight) setSpotlight(data.spotlight);
     if (data.reactionCounts) {
       // Restore cumulative reaction counts from server so host reconnect shows accurate totals
       Object.entries(data.reactionCounts).forEach(([emoji, count]) => {
@@ -158,7 +298,11 @@ function connectHost() {
       });
     }
     if (data.questions) {
-      data.questions.forEach(q => addQuestion(q, false));
+      // The top of the board — replaces whatever we had before a reconnect
+      state.questions = [];
+      data.questions.forEach(q => addQuestion(q));
+      state.questionSpotlight = data.questionSpotlight?.id ?? null;
+      renderQuestions();
     }
     if (data.textResponses) {
       data.textResponses.forEach(r => addTextResponse(r, false));
@@ -172,16 +316,120 @@ function connectHost() {
 
   ws.onMessage('join', (data) => {
     updateStudentCount(data.count);
-    if (data.name) {
-      state.students.set(data.name, { hex: data.hex, colorsSent: 0 });
+    if (data.sid) {
+      // A rejoin (reconnect, reload) keeps the count the student already had
+      const colorsSent = state.students.get(data.sid)?.colorsSent ?? 0;
+      state.students.set(data.sid, { name: data.name, hex: data.hex, zone: data.zone, colorsSent });
       renderStudentList();
     }
   });
 
+  // Zone ownership changes on every join/color — server sends the full list
+  ws.onMessage('zones', (data) => {
+    state.zones = data.zones;
+    renderZones();
+  });
+
+  ws.onMessage('bulb_health', (data) => {
+    state.bulbs = data.bulbs;
+    renderBulbHealth();
+  });
+
+  // Discovery rounds (periodic or Rescan) and the bulbs they added / dropped
+  ws.onMessage('rescan', (data) => {
+    const btn = $('bulb-rescan-btn');
+    btn.disabled = data.scanning;
+    btn.textContent = data.scanning ? 'Scanning…' : 'Rescan';
+  });
+
+  ws.onMessage('bulb_join', (data) => {
+    showBulbEvent(`${data.bulb.id} joined`);
+  });
+
+  ws.onMessage('bulb_leave', (data) => {
+    showBulbEvent(`${data.id} left`);
+  });
+
+  // What host_color accepts — WiZ scene list and white temperature range
+  ws.onMessage('light_options', (data) => {
+    const select = $('host-scene-select');
+    select.innerHTML = '<option value="">WiZ scene…</option>' + data.scenes
+      .map(sc => `<option value="${sc.id}">${escHtml(sc.name)}</option>`)
+      .join('');
+    // No scenes means the bulbs can't do them (e.g. Hue) — disable rather than offer a dead control
+    select.disabled = data.scenes.length === 0;
+    $('host-scene-btn').disabled = data.scenes.length === 0;
+    $('host-temp').min = data.tempMin;
+    $('host-temp').max = data.tempMax;
+  });
+
+  ws.onMessage('house_lights', (data) => {
+    state.houseLights = data.on;
+    const btn = $('house-lights-btn');
+    btn.setAttribute('aria-pressed', String(data.on));
+    btn.textContent = data.on ? 'House lights up — tap to resume room color' : 'House lights';
+    btn.disabled = !data.on && data.saved === 0;
+    btn.title = data.saved
+      ? `Put ${data.saved} bulb(s) back how they were before the talk`
+      : "Waiting for the bulbs' pre-talk state";
+  });
+
+  ws.onMessage('room_color', (data) => {
+    setRoomColor(data.hex);
+  });
+
+  ws.onMessage('color_mode', (data) => {
+    setColorMode(data.mode);
+  });
+
+  ws.onMessage('spotlight', (data) => {
+    setSpotlight(data);
+  });
+
+  // Effects state — sent on host_join and echoed after every change
+  ws.onMessage('fx_state', (data) => {
+    state.fx = { scene: data.scene, fadeMs: data.fadeMs, pulse: data.pulse, breathe: data.breathe };
+    renderFxControls();
+  });
+
+  // Replay mode only — on host_join, after every control and each second while playing
+  ws.onMessage('replay_state', (data) => {
+    state.replay = data;
+    renderReplay();
+  });
+
+  ws.onMessage('moderation', (data) => {
+    state.moderation = { locked: data.locked, premod: data.premod, muted: data.muted, kicked: data.kicked };
+    renderModeration();
+    renderStudentList();
+  });
+
+  ws.onMessage('pending', (data) => {
+    state.pending = data.items;
+    renderPending();
+  });
+
+  ws.onMessage('filter_log', (data) => {
+    state.filtered = data.items;
+    renderFilterLog();
+  });
+
+  // A moderator renamed someone — every name on the dashboard is tagged with
+  // the student's data-sid, same as on the phones
+  ws.onMessage('renamed', ({ sid, to }) => {
+    const student = state.students.get(sid);
+    if (student) student.name = to;
+    [...state.questions, ...state.textResponses, ...state.pending, ...state.filtered].forEach(e => { if (e.sid === sid) e.name = to; });
+    document.querySelectorAll(`[data-sid="${CSS.escape(sid)}"]`).forEach(el => {
+      el.textContent = to;
+    });
+    renderStudentList();
+  });
+
   ws.onMessage('leave', (data) => {
     updateStudentCount(data.count);
-    if (data.name && data.name !== '__host__') {
-      state.students.delete(data.name);
+    if (data.sid) {
+      state.students.delete(data.sid);
       renderStudentList();
     }
   });
@@ -189,20 +437,17 @@ function connectHost() {
   ws.onMessage('color', (data) => {
     state.totalColors++;
     $('host-color-count').textContent = state.totalColors;
-    setRoomColor(data.hex);
+    // Outside last-tap-wins a pick is only a vote — room_color has the result
+    if (state.colorMode === 'last') setRoomColor(data.hex);
 
-    if (state.students.has(data.name)) {
-      state.students.get(data.name).colorsSent++;
+    const student = state.students.get(data.sid);
+    if (student) {
+      student.colorsSent++;
+      student.hex = data.hex;
       // Update just the count cell for this student — don't rebuild the whole list
-      const list = $('student-list');
-      const rows = list.querySelectorAll('.student-row');
-      rows.forEach(row => {
-        const nameEl = row.querySelector('.student-name');
-        if (nameEl && nameEl.textContent === data.name) {
-          const countEl = row.querySelector('.student-count');
-          if (countEl) countEl.textContent = `${state.students.get(data.name).colorsSent} sent`;
-        }
-      });
+      const row = $('student-list').querySelector(`.student-row[data-sid="${CSS.escape(data.sid)}"]`);
+      const countEl = row?.querySelector('.student-sent');
+      if (countEl) countEl.textContent = `${student.colorsSent} sent`;
     }
   });
 
@@ -214,6 +459,19 @@ function connectHost() {
     addQuestion(data);
   });
 
+  ws.onMessage('question_update', (data) => {
+    updateQuestion(data);
+  });
+
+  ws.onMessage('question_spotlight', ({ id }) => {
+    state.questionSpotlight = id;
+    renderQuestions();
+  });
+
+  ws.onMessage('question_hidden', (data) => {
+    removeQuestion(data.id);
+  });
+
   ws.onMessage('text_response', (data) => {
     addTextResponse(data);
   });
@@ -254,7 +512,7 @@ function wireModeBtns() {
   document.querySelectorAll('.host-mode-btn').forEach(btn => {
     btn.addEventListener('click', () => {
       const mode = btn.dataset.mode;
-      ws.send({ type: 'mode', mode, key: state.hostKey });
+      ws.send({ type: 'mode', mode });
       setActiveMode(mode);
     });
   });
@@ -289,19 +547,243 @@ function renderHostColorGrid() {
 }
 
 function hostPickColor(color, btn) {
-  $('host-color-grid').querySelectorAll('.color-swatch').forEach(s =>
-    s.classList.remove('selected')
-  );
+  clearHostSwatchSelection();
   btn.classList.add('selected');
 
   $('host-picked-swatch').style.background = color.hex;
   $('host-picked-label').textContent = color.name;
 
   // Send host color directly — bypasses student voting
-  ws.send({ type: 'host_color', hex: color.hex, key: state.hostKey });
+  sendHostLook({ hex: color.hex });
   setRoomColor(color.hex);
 }
 
+// Calm warm white for the talky bits between interactive segments
+const READING_LIGHT = { temp: 2700, brightness: 60 };
+
+function sendHostLook(look) {
+  state.hostLook = look;
+  ws.send({ type: 'host_color', ...look, brightness: state.brightness });
+}
+
+function clearHostSwatchSelection() {
+  $('host-color-grid').querySelectorAll('.color-swatch').forEach(s =>
+    s.classList.remove('selected')
+  );
+}
+
+// Rough on-screen stand-in for a white: warm amber at 2200K → bluish at 6500K
+function whitePreviewHex(temp) {
+  const t = Math.max(0, Math.min(1, (temp - 2200) / 4300));
+  const warm = [255, 169, 87];
+  const cool = [235, 240, 255];
+  return '#' + warm.map((w, i) => Math.round(w + (cool[i] - w) * t).toString(16).padStart(2, '0')).join('');
+}
+
+function hostSetWhite(temp, brightness = null) {
+  if (brightness !== null) {
+    state.brightness = brightness;
+    $('host-brightness').value = brightness;
+    $('host-brightness-value').textContent = `${brightness}%`;
+  }
+  clearHostSwatchSelection();
+  $('host-picked-swatch').style.background = whitePreviewHex(temp);
+  $('host-picked-label').textContent = `White ${temp}K`;
+  sendHostLook({ temp });
+}
+
+function wireHostLightControls() {
+  $('host-brightness').addEventListener('input', e => {
+    $('host-brightness-value').textContent = `${e.target.value}%`;
+  });
+  // Re-send the current pick at the new brightness once the slider settles
+  $('host-brightness').addEventListener('change', e => {
+    state.brightness = parseInt(e.target.value, 10);
+    if (state.hostLook) sendHostLook(state.hostLook);
+  });
+
+  $('host-temp').addEventListener('input', e => {
+    $('host-temp-value').textContent = `${e.target.value}K`;
+  });
+  $('host-white-btn').addEventListener('click', () => {
+    hostSetWhite(parseInt($('host-temp').value, 10));
+  });
+
+  $('host-reading-btn').addEventListener('click', () => {
+    $('host-temp').value = READING_LIGHT.temp;
+    $('host-temp-value').textContent = `${READING_LIGHT.temp}K`;
+    hostSetWhite(READING_LIGHT.temp, READING_LIGHT.brightness);
+  });
+
+  // Pre-talk bulb state while you talk; tap again to go back to the room color
+  $('bulb-rescan-btn').addEventListener('click', () => {
+    ws.send({ type: 'rescan' });
+  });
+
+  $('house-lights-btn').addEventListener('click', () => {
+    ws.send({ type: 'house_lights', on: !state.houseLights });
+  });
+
+  $('host-scene-btn').addEventListener('click', () => {
+    const select = $('host-scene-select');
+    const sceneId = parseInt(select.value, 10);
+    if (!sceneId) return;
+    clearHostSwatchSelection();
+    $('host-picked-swatch').style.background = 'conic-gradient(#FF6EB4, #FBBF24, #4ADE80, #4DBBFF, #C77DFF, #FF6EB4)';
+    $('host-picked-label').textContent = `Scene: ${select.selectedOptions[0].textContent}`;
+    sendHostLook({ sceneId });
+  });
+}
+
+// ─── Color mode ─────────────────────────────────────────────────────────────
+
+function wireColorModeBtns() {
+  document.querySelectorAll('[data-color-mode]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      ws.send({ type: 'color_mode', mode: btn.dataset.colorMode });
+    });
+  });
+}
+
+function setColorMode(mode) {
+  state.colorMode = mode;
+  document.querySelectorAll('[data-color-mode]').forEach(btn => {
+    btn.setAttribute('aria-pressed', String(btn.dataset.colorMode === mode));
+  });
+}
+
+// ─── Spotlight queue ─────────────────────────────────────────────────────────
+
+let spotlightTimer = null;
+
+function wireSpotlightControls() {
+  $('spotlight-skip-btn').addEventListener('click', () => {
+    ws.send({ type: 'spotlight_skip' });
+  });
+  // Pin keeps the current holder until unpinned; rows below pin someone else
+  $('spotlight-pin-btn').addEventListener('click', () => {
+    const sp = state.spotlight;
+    if (!sp?.holder) return;
+    ws.send({ type: 'spotlight_pin', sid: sp.pinned ? null : sp.holder });
+  });
+  $('spotlight-queue').addEventListener('click', e => {
+    const btn = e.target.closest('[data-pin]');
+    if (btn) ws.send({ type: 'spotlight_pin', sid: btn.dataset.pin });
+  });
+}
+
+function setSpotlight(data) {
+  state.spotlight = data.active ? { ...data, receivedAt: Date.now() } : null;
+  clearInterval(spotlightTimer);
+  spotlightTimer = state.spotlight ? setInterval(renderSpotlightHolder, 500) : null;
+  renderSpotlight();
+}
+
+function renderSpotlight() {
+  const sp = state.spotlight;
+  $('spotlight-panel').style.display = sp ? '' : 'none';
+  if (!sp) return;
+
+  renderSpotlightHolder();
+  $('spotlight-pin-btn').textContent = sp.pinned ? 'Unpin' : 'Pin';
+
+  const list = $('spotlight-queue');
+  const waiting = sp.queue.slice(1);
+  if (waiting.length === 0) {
+    list.innerHTML = `<p class="empty-state">${sp.holder ? 'Nobody waiting.' : 'Waiting for students...'}</p>`;
+    return;
+  }
+  list.innerHTML = waiting.map((sid, i) => {
+    const name = sp.names[sid] ?? '?';
+    const hex = state.students.get(sid)?.hex;
+    const safeHex = /^#[0-9A-Fa-f]{6}$/.test(hex) ? hex : '#333340';
+    return `
+      <div class="student-row">
+        <div class="student-dot" style="background:${safeHex}; color:${safeHex}"></div>
+        <span class="student-name">${escHtml(name)}</span>
+        <span class="student-count">#${i + 1}</span>
+        <button class="btn-pixel btn-pixel--sm" data-pin="${escHtml(sid)}" title="Give ${escHtml(name)} the lights now">Pin</button>
+      </div>`;
+  }).join('');
+}
+
+function renderSpotlightHolder() {
+  const sp = state.spotlight;
+  if (!sp) return;
+  const el = $('spotlight-holder');
+  const holder = sp.names[sp.holder];
+  if (!sp.holder) {
+    el.textContent = 'Nobody in the spotlight';
+  } else if (sp.pinned) {
+    el.textContent = `${holder} · pinned`;
+  } else {
+    const left = Math.max(0, sp.remainingMs - (Date.now() - sp.receivedAt));
+    el.textContent = `${holder} · ${Math.ceil(left / 1000)}s left`;
+  }
+}
+
+// ─── Light effects ──────────────────────────────────────────────────────────
+
+const FX_FADE_MS = 400;
+
+function wireFxControls() {
+  $('fx-scene-btns').querySelectorAll('[data-scene]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const scene = btn.dataset.scene === 'off' ? null : btn.dataset.scene;
+      ws.send({ type: 'fx_scene', scene });
+    });
+  });
+  $('fx-fade').addEventListener('change', e => {
+    ws.send({ type: 'fx_options', fadeMs: e.target.checked ? FX_FADE_MS : 0 });
+  });
+  $('fx-pulse').addEventListener('change', e => {
+    ws.send({ type: 'fx_options', pulse: e.target.checked });
+  });
+  $('fx-breathe').addEventListener('change', e => {
+    ws.send({ type: 'fx_options', breathe: e.target.checked });
+  });
+}
+
+function renderFxControls() {
+  const active = state.fx.scene ?? 'off';
+  $('fx-scene-btns').querySelectorAll('[data-scene]').forEach(btn => {
+    btn.setAttribute('aria-pressed', String(btn.dataset.scene === active));
+  });
+  $('fx-fade').checked = state.fx.fadeMs > 0;
+  $('fx-pulse').checked = state.fx.pulse;
+  $('fx-breathe').checked = state.fx.breathe;
+}
+
+// ─── Replay ─────────────────────────────────────────────────────────────────
+
+function wireReplayControls() {
+  $('replay-play-btn').addEventListener('click', () => {
+    ws.send({ type: 'replay_control', action: state.replay?.paused ? 'play' : 'pause' });
+  });
+  $('replay-restart-btn').addEventListener('click', () => {
+    ws.send({ type: 'replay_control', action: 'restart' });
+  });
+  $('replay-speed-btns').querySelectorAll('[data-replay-speed]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      ws.send({ type: 'replay_control', speed: Number(btn.dataset.replaySpeed) });
+    });
+  });
+}
+
+function renderReplay() {
+  const r = state.replay;
+  $('replay-panel').style.display = r ? '' : 'none';
+  if (!r) return;
+  const mmss = ms => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+  $('replay-file').textContent = r.file;
+  $('replay-play-btn').textContent = r.paused ? 'Play' : 'Pause';
+  $('replay-speed-btns').querySelectorAll('[data-replay-speed]').forEach(btn => {
+    btn.setAttribute('aria-pressed', String(Number(btn.dataset.replaySpeed) === r.speed));
+  });
+  $('replay-clock').textContent = `${mmss(r.positionMs)} / ${mmss(r.durationMs)} · ${r.played}/${r.events}`;
+  $('replay-progress').value = r.durationMs ? r.positionMs / r.durationMs : 0;
+}
+
 // ─── Room color display ──────────────────────────────────────────────────────
 
 function setRoomColor(hex) {
@@ -336,21 +818,180 @@ function renderStudentList() {
 
   list.innerHTML = '';
 
-  state.students.forEach((data, name) => {
+  state.students.forEach((data, sid) => {
+    const { name } = data;
     const row = document.createElement('div');
     row.className = 'student-row';
+    row.dataset.sid = sid;
     // data.hex is already sanitized by the server (sanitizeHex enforces #RRGGBB format)
     // Use it directly for CSS values — escHtml is not appropriate for CSS contexts
     const safeHex = /^#[0-9A-Fa-f]{6}$/.test(data.hex) ? data.hex : '#888888';
+    // Zone tag only matters once there's more than one zone to tell apart
+    const zoneTag = data.zone && state.zones.length > 1
+      ? `<span class="student-count">${escHtml(data.zone)}</span>`
+      : '';
+    const muted = state.moderation.muted.includes(sid);
+    const hide = can('moderate') ? '' : ' hidden';
     row.innerHTML = `
       <div class="student-dot" style="background:${safeHex}; color:${safeHex}"></div>
       <span class="student-name">${escHtml(name)}</span>
-      <span class="student-count">${data.colorsSent} sent</span>
+      ${zoneTag}
+      ${muted ? '<span class="student-count">muted</span>' : ''}
+      <span class="student-count student-sent">${data.colorsSent} sent</span>
+      <span data-perm="moderate"${hide} style="display:flex;gap:4px">
+        <button class="btn-pixel btn-pixel--sm" data-mod="mute">${muted ? 'Unmute' : 'Mute'}</button>
+        <button class="btn-pixel btn-pixel--sm" data-mod="rename">Rename</button>
+        <button class="btn-pixel btn-pixel--sm" data-mod="kick" style="color:#ff6b6b">Kick</button>
+      </span>
+    `;
+    list.appendChild(row);
+  });
+}
+
+// ─── Student moderation ──────────────────────────────────────────────────────
+// Kick, mute, rename and lock — moderate permission only; the server checks too.
+
+function wireModeration() {
+  $('student-list').addEventListener('click', e => {
+    const btn = e.target.closest('[data-mod]');
+    if (!btn) return;
+    const sid = btn.closest('.student-row').dataset.sid;
+    const name = state.students.get(sid)?.name;
+    if (btn.dataset.mod === 'mute') {
+      ws.send({ type: 'mute', sid, muted: !state.moderation.muted.includes(sid) });
+    } else if (btn.dataset.mod === 'rename') {
+      const to = prompt(`Rename ${name} to:`, '');
+      if (to && to.trim()) ws.send({ type: 'rename', sid, to: to.trim() });
+    } else if (btn.dataset.mod === 'kick') {
+      if (confirm(`Kick ${name}? They can't rejoin from that phone for 10 minutes.`)) ws.send({ type: 'kick', sid });
+    }
+  });
+
+  $('lock-room-btn').addEventListener('click', () => {
+    ws.send({ type: 'lock', locked: !state.moderation.locked });
+  });
+
+  $('premod-btn').addEventListener('click', () => {
+    ws.send({ type: 'premod', on: !state.moderation.premod });
+  });
+
+  $('pending-list').addEventListener('click', e => {
+    const btn = e.target.closest('[data-review]');
+    if (btn) ws.send({ type: 'review', id: btn.dataset.id, approve: btn.dataset.review === 'approve' });
+  });
+
+  $('question-queue').addEventListener('click', e => {
+    const btn = e.target.closest('[data-q]');
+    const id = btn?.closest('[data-question-id]')?.dataset.questionId;
+    const q = id && state.questions.find(e => e.id === id);
+    if (!q) return;
+    if (btn.dataset.q === 'answered') ws.send({ type: 'question_answered', id, answered: !q.answered });
+    if (btn.dataset.q === 'pin')      ws.send({ type: 'question_pin', id, pinned: !q.pinned });
+    if (btn.dataset.q === 'hide')     ws.send({ type: 'question_hide', id });
+    if (btn.dataset.q === 'answer') {
+      const answering = state.questionSpotlight === id;
+      ws.send({ type: 'question_spotlight', id: answering ? null : id, tint: $('question-tint').checked });
+    }
+  });
+}
+
+function renderModeration() {
+  const { locked, kicked } = state.moderation;
+  const lockBtn = $('lock-room-btn');
+  lockBtn.textContent = locked ? 'Unlock room' : 'Lock room';
+  lockBtn.setAttribute('aria-pressed', String(locked));
+
+  const premodBtn = $('premod-btn');
+  premodBtn.textContent = state.moderation.premod ? 'Pre-moderating' : 'Pre-moderate';
+  premodBtn.setAttribute('aria-pressed', String(state.moderation.premod));
+
+  const note = $('kicked-list');
+  note.textContent = kicked.length
+    ? `Kicked: ${kicked.map(k => `${k.name} (until ${new Date(k.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`).join(', ')}`
+    : '';
+  note.style.display = kicked.length ? '' : 'none';
+}
+
+// ─── Bulb zones ──────────────────────────────────────────────────────────────
+// One row per zone: its current color, the bulbs in it, and who painted it last.
+
+function renderZones() {
+  const list = $('zone-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  state.zones.forEach(zone => {
+    const row = document.createElement('div');
+    row.className = 'student-row';
+    const safeHex = /^#[0-9A-Fa-f]{6}$/.test(zone.hex) ? zone.hex : '#333340';
+    const bulbs = zone.bulbs.length ? zone.bulbs.join(', ') : 'every bulb';
+    const assigned = zone.students.length === 1 ? '1 student' : `${zone.students.length} students`;
+    row.innerHTML = `
+      <div class="student-dot" style="background:${safeHex}; color:${safeHex}"></div>
+      <span class="student-name">${escHtml(zone.owner || '—')}</span>
+      <span class="student-count" title="${escHtml(bulbs)}">${escHtml(zone.id)} · ${assigned}</span>
+    `;
+    list.appendChild(row);
+  });
+
+  // Zone tags on student rows depend on the zone count
+  renderStudentList();
+}
+
+// ─── Bulb health ─────────────────────────────────────────────────────────────
+// Server polls each bulb (getPilot) and tracks acks — green = answering,
+// red = stopped answering, grey = never heard from.
+
+function showBulbEvent(text) {
+  const el = $('bulb-events');
+  const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  el.textContent = `${time} · bulb ${text}`;
+  el.style.display = '';
+}
+
+function renderBulbHealth() {
+  const list = $('bulb-health-list');
+  if (!list) return;
+
+  const down = state.bulbs.filter(b => !b.reachable && !b.oneWay).length;
+  const title = $('bulb-health-title');
+  if (title) title.textContent = down ? `Bulb health (${down} down)` : 'Bulb health';
+
+  if (state.bulbs.length === 0) {
+    list.innerHTML = `<p class="empty-state">No bulbs found — colors are broadcast blind.</p>`;
+    return;
+  }
+
+  list.innerHTML = '';
+
+  state.bulbs.forEach(bulb => {
+    const row = document.createElement('div');
+    row.className = 'student-row';
+    const color = bulb.oneWay ? '#4DBBFF' : bulb.reachable ? '#4ADE80' : bulb.lastAckAt ? '#ff6b6b' : '#555566';
+    const latency = bulb.latencyMs != null ? `${bulb.latencyMs}ms` : '—';
+    const ackRate = bulb.sent > 0 ? `${Math.min(100, Math.round((bulb.acked / bulb.sent) * 100))}% acked` : 'no sends';
+    const seen = bulb.lastAckAt ? `seen ${timeAgo(bulb.lastAckAt)}` : 'never answered';
+    // DMX fixtures never answer, so there's no health to show — just where they are
+    const detail = bulb.oneWay
+      ? `DMX u${bulb.universe} ch${bulb.channel} · ${bulb.sent} sent · no replies`
+      : `${latency} · ${ackRate} · ${seen}`;
+    row.innerHTML = `
+      <div class="student-dot" style="background:${color}; color:${color}"></div>
+      <span class="student-name">${escHtml(bulb.id)}</span>
+      <span class="student-count">${escHtml(detail)}</span>
     `;
+    row.title = `${bulb.failures} missed replies${bulb.mac ? ` · MAC ${bulb.mac}` : ''}`;
     list.appendChild(row);
   });
 }
 
+function timeAgo(ts) {
+  const secs = Math.max(0, Math.round((Date.now() - ts) / 1000));
+  if (secs < 60) return `${secs}s ago`;
+  return `${Math.round(secs / 60)}m ago`;
+}
+
 // ─── Reactions ───────────────────────────────────────────────────────────────
 
 const pulseBars = {
@@ -384,52 +1025,125 @@ function bumpReaction(emoji) {
   });
 }
 
-// ─── Questions ───────────────────────────────────────────────────────────────
+// Held submissions, oldest first — approve publishes to everyone, reject drops it
+function renderPending() {
+  const list = $('pending-list');
+  $('pending-count').textContent = state.pending.length;
+  if (state.pending.length === 0) {
+    list.innerHTML = '<p class="empty-state">Nothing waiting.</p>';
+    return;
+  }
+  list.innerHTML = '';
+  state.pending.forEach(({ type, id, sid, name, text, hex }) => {
+    const item = document.createElement('div');
+    item.className = 'question-item';
+    const safeHex = /^#[0-9A-Fa-f]{6}$/.test(hex) ? hex : '#FF6EB4';
+    item.innerHTML = `
+      <div class="question-item__info">
+        <div class="question-item__name" style="color:${safeHex}"><span data-sid="${escHtml(sid ?? '')}">${escHtml(name)}</span> · ${type === 'question' ? 'question' : 'response'}</div>
+        <div class="question-item__text">${escHtml(text)}</div>
+      </div>
+      <button class="question-call-btn" data-review="approve" data-id="${escHtml(id)}">Approve</button>
+      <button class="question-call-btn question-hide-btn" data-review="reject" data-id="${escHtml(id)}">Reject</button>
+    `;
+    list.appendChild(item);
+  });
+}
 
-function addQuestion({ name, text, hex }, animate = true) {
-  state.questions.push({ name, text, hex });
-  $('host-q-count').textContent = state.questions.length;
-  $('q-count-display').textContent = state.questions.length;
+// What the word filter caught, newest first, as it was sent — masked ones went
+// out with asterisks, held ones are also in the review queue above
+const FILTER_ACTIONS = { mask: 'masked', hold: 'held', reject: 'rejected' };
+const FILTER_KINDS   = { name: 'name', question: 'question', text_response: 'response' };
 
-  const queue = $('question-queue');
+function renderFilterLog() {
+  const list = $('filter-log');
+  $('filter-count').textContent = state.filtered.length;
+  if (state.filtered.length === 0) {
+    list.innerHTML = '<p class="empty-state">Nothing caught yet.</p>';
+    return;
+  }
+  list.innerHTML = '';
+  [...state.filtered].reverse().forEach(({ kind, sid, name, text, action, words }) => {
+    const item = document.createElement('div');
+    item.className = 'question-item';
+    item.innerHTML = `
+      <div class="question-item__info">
+        <div class="question-item__name"><span data-sid="${escHtml(sid ?? '')}">${escHtml(name)}</span> · ${FILTER_KINDS[kind] ?? escHtml(kind)} · ${FILTER_ACTIONS[action] ?? escHtml(action)}</div>
+        <div class="question-item__text">${escHtml(text)}</div>
+        <div class="question-item__name" style="opacity:0.6">matched: ${words.map(escHtml).join(', ')}</div>
+      </div>
+    `;
+    list.appendChild(item);
+  });
+}
 
-  // Clear placeholder
-  if (state.questions.length === 1) queue.innerHTML = '';
+// ─── Questions ───────────────────────────────────────────────────────────────
+// Ranked like the phones' board (see rankQuestions in server/room.js): the
+// pinned question, then open ones by votes, then answered; ties go to the newest.
 
-  const item = document.createElement('div');
-  item.className = 'question-item';
-
-  // hex is server-sanitized (#RRGGBB); use directly in CSS, not escHtml (wrong context)
-  const safeHex = /^#[0-9A-Fa-f]{6}$/.test(hex) ? hex : '#FF6EB4';
-  item.innerHTML = `
-    <div class="question-item__info">
-      <div class="question-item__name" style="color:${safeHex}">${escHtml(name)}</div>
-      <div class="question-item__text">${escHtml(text)}</div>
-    </div>
-    <button class="question-call-btn" aria-label="Call on ${escHtml(name)}">Call on →</button>
-  `;
+function addQuestion({ id, sid, name, text, hex, at, votes = 0, answered = false, pinned = false }) {
+  state.questions.push({ id, sid, name, text, hex, at: at ?? Date.now(), votes, answered, pinned });
+  renderQuestions();
+}
 
-  const callBtn = item.querySelector('.question-call-btn');
-  callBtn.addEventListener('click', () => {
-    item.classList.add('called');
-    callBtn.textContent = '✓ called';
-    callBtn.disabled = true;
-  });
+function updateQuestion({ id, votes, answered, pinned }) {
+  const q = state.questions.find(e => e.id === id);
+  if (!q) return;
+  Object.assign(q, { votes, answered, pinned });
+  renderQuestions();
+}
+
+function removeQuestion(id) {
+  state.questions = state.questions.filter(q => q.id !== id);
+  renderQuestions();
+}
 
-  queue.appendChild(item);
+function renderQuestions() {
+  $('host-q-count').textContent = state.questions.length;
+  $('q-count-display').textContent = state.questions.length;
 
-  // Cap DOM at 100 question items — prevents unbounded growth in long sessions
-  while (queue.children.length > 100) {
-    queue.removeChild(queue.firstChild);
+  const queue = $('question-queue');
+  if (!state.questions.length) {
+    queue.innerHTML = '<p class="empty-state">Questions will appear here...</p>';
+    return;
   }
 
-  queue.scrollTop = queue.scrollHeight;
+  const rank = q => (q.pinned ? 0 : q.answered ? 2 : 1);
+  const ranked = [...state.questions]
+    .sort((a, b) => rank(a) - rank(b) || b.votes - a.votes || b.at - a.at)
+    .slice(0, 100); // cap the DOM — a long session can collect a lot of questions
+
+  // Answering now is the stage's; answered, pin and hide are for moderators —
+  // the server checks too
+  const hide = can('moderate') ? '' : ' hidden';
+  const hideStage = can('stage') ? '' : ' hidden';
+  queue.innerHTML = ranked.map(({ id, sid, name, text, hex, votes, answered, pinned }) => {
+    // hex is server-sanitized (#RRGGBB); use directly in CSS, not escHtml (wrong context)
+    const safeHex = /^#[0-9A-Fa-f]{6}$/.test(hex) ? hex : '#FF6EB4';
+    const answering = id === state.questionSpotlight;
+    const status = answering ? ' · answering now' : pinned ? ' · pinned' : answered ? ' · answered' : '';
+    return `
+      <div class="question-item${answered ? ' called' : ''}${pinned ? ' pinned' : ''}${answering ? ' answering' : ''}" data-question-id="${escHtml(id ?? '')}">
+        <div class="question-item__votes" title="${votes} upvote${votes === 1 ? '' : 's'}">▲ ${votes}</div>
+        <div class="question-item__info">
+          <div class="question-item__name" style="color:${safeHex}"><span data-sid="${escHtml(sid ?? '')}">${escHtml(name)}</span>${status}</div>
+          <div class="question-item__text">${escHtml(text)}</div>
+        </div>
+        <button class="question-call-btn" data-q="answer" data-perm="stage"${hideStage} aria-label="${answering ? 'Stop showing' : 'Answer now'}: ${escHtml(name)}'s question">${answering ? 'Stop' : 'Answer now'}</button>
+        <span data-perm="moderate"${hide} style="display:flex;gap:4px">
+          <button class="question-call-btn" data-q="answered" aria-label="${answered ? 'Reopen' : 'Mark answered'}: ${escHtml(name)}'s question">${answered ? 'Reopen' : '✓ Answered'}</button>
+          <button class="question-call-btn question-hide-btn" data-q="pin">${pinned ? 'Unpin' : 'Pin'}</button>
+          <button class="question-call-btn question-hide-btn" data-q="hide" aria-label="Hide ${escHtml(name)}'s question">Hide</button>
+        </span>
+      </div>
+    `;
+  }).join('');
 }
 
 // ─── Text responses ──────────────────────────────────────────────────────────
 
-function addTextResponse({ name, text, hex }, animate = true) {
-  state.textResponses.push({ name, text, hex });
+function addTextResponse({ sid, name, text, hex }, animate = true) {
+  state.textResponses.push({ sid, name, text, hex });
 
   const feed = $('host-text-feed');
 
@@ -438,7 +1152,7 @@ function addTextResponse({ name, text, hex }, animate = true) {
   const item = document.createElement('div');
   item.className = 'text-preview-item';
   item.style.setProperty('--item-color', hex || '#FF6EB4');
-  item.innerHTML = `<strong>${escHtml(name)}:</strong> ${escHtml(text)}`;
+  item.innerHTML = `<strong><span data-sid="${escHtml(sid ?? '')}">${escHtml(name)}</span>:</strong> ${escHtml(text)}`;
 
   feed.appendChild(item);
 
@@ -450,6 +1164,15 @@ function addTextResponse({ name, text, hex }, animate = true) {
   feed.scrollTop = feed.scrollHeight;
 }
 
+// ─── Session export ──────────────────────────────────────────────────────────
+
+// The session cookie goes along with the download — only the room prefix is needed
+function wireExportLinks() {
+  document.querySelectorAll('[data-export]').forEach(link => {
+    link.href = `${ROOM_BASE}${link.dataset.export}`;
+  });
+}
+
 // ─── Contrast helper (mirrors app.js) ────────────────────────────────────────
 // Returns '#000000' or '#FFFFFF' for readable text on the given background.
 
@@ -1015,7 +1738,7 @@ function wireSlidesUI() {
     if (state.slides.length === 0) return;
     const idx = Math.max(0, state.currentSlideIndex - 1);
     state.currentSlideIndex = idx;
-    ws.send({ type: 'slide_goto', index: idx, key: state.hostKey });
+    ws.send({ type: 'slide_goto', index: idx });
     renderSlidesNav();
   });
 
@@ -1023,7 +1746,7 @@ function wireSlidesUI() {
     if (state.slides.length === 0) return;
     const idx = Math.min(state.slides.length - 1, state.currentSlideIndex + 1);
     state.currentSlideIndex = idx;
-    ws.send({ type: 'slide_goto', index: idx, key: state.hostKey });
+    ws.send({ type: 'slide_goto', index: idx });
     renderSlidesNav();
   });
 
@@ -1065,7 +1788,7 @@ function wireSlidesUI() {
     btn.disabled = true;
     btn.textContent = 'Saving...';
     try {
-      const res = await fetch(`/api/slides?key=${encodeURIComponent(state.hostKey)}`, {
+      const res = await fetch(`${ROOM_BASE}/api/slides`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(state.slides),
@@ -1073,7 +1796,7 @@ function wireSlidesUI() {
       if (res.ok) {
         if (status) status.textContent = 'Saved!';
         // Tell server to reload and broadcast to students
-        ws.send({ type: 'slides_reload', key: state.hostKey });
+        ws.send({ type: 'slides_reload' });
         setTimeout(() => { if (status) status.textContent = ''; }, 3000);
       } else {
         if (status) status.textContent = 'Save failed';
@@ -1175,14 +1898,15 @@ function scrollScriptToMode(mode) {
 
 async function loadScript() {
   try {
-    const res = await fetch('/api/script');
+    const res = await fetch(`${ROOM_BASE}/api/script`);
     if (res.ok) {
       state.scriptContent = await res.text();
       renderScript(state.scriptContent);
       scrollScriptToMode(state.currentMode);
     } else {
       const panel = $('script-panel');
-      if (panel) panel.innerHTML = '<p style="font-style:italic;color:var(--color-text-dim);font-size:13px">No script file found (create script/talk.md)</p>';
+      const hint = ROOM_BASE ? `POST it to ${ROOM_BASE}/api/script` : 'create script/talk.md';
+      if (panel) panel.innerHTML = `<p style="font-style:italic;color:var(--color-text-dim);font-size:13px">No script file found (${hint})</p>`;
     }
   } catch {
     const panel = $('script-panel');
@@ -1236,6 +1960,13 @@ function setActiveModeWithExtras(mode) {
 boot();
 wireModeBtns();
 renderHostColorGrid();
+wireHostLightControls();
+wireColorModeBtns();
+wireSpotlightControls();
+wireFxControls();
+wireReplayControls();
+wireExportLinks();
+wireModeration();
 wireSlidesUI();
 wireScriptUI();
 loadScript();
@@ -0,0 +1,119 @@
+/**
+ * room.js — virtual light room (/room)
+ *
+ * A live replica of the bulbs for remote viewers: one glowing bulb per light,
+ * grouped by zone, each labelled with whoever last colored it. Meant to be
+ * screen-shared or added as an OBS browser source.
+ *
+ * Read-only: it never joins as a student. 'viewer_join' gets us the zone
+ * layout (room_layout — re-sent whenever bulbs come and go); after that the
+ * colors follow the same broadcasts the phones get:
+ *   last mode — 'join' / 'color' are the room color straight away
+ *   otherwise — only 'room_color' is what a zone actually shows
+ *
+ * URL options: ?bg=transparent (OBS overlay) · ?names=off
+ */
+
+import { ws } from './ws-client.js';
+
+const params = new URLSearchParams(location.search);
+
+const state = {
+  colorMode: 'last',
+  roomColorHex: '#FF6EB4',
+  zones: [], // [{ id, lights, hex, owner }]
+};
+
+const $ = id => document.getElementById(id);
+
+// ─── Boot ──────────────────────────────────────────────────────────────────
+
+function boot() {
+  if (params.get('bg') === 'transparent') document.body.classList.add('is-transparent');
+  if (params.get('names') === 'off') document.body.classList.add('hide-names');
+
+  ws.addEventListener('connected', () => {
+    ws.send({ type: 'viewer_join' });
+    $('room-title').classList.add('is-live');
+  });
+  ws.addEventListener('disconnected', () => {
+    $('room-title').classList.remove('is-live');
+  });
+
+  ws.onMessage('welcome', (data) => {
+    state.colorMode = data.colorMode ?? 'last';
+    if (data.roomColor) state.roomColorHex = data.roomColor;
+  });
+
+  ws.onMessage('room_layout', ({ zones }) => {
+    state.zones = zones;
+    renderRoom();
+  });
+
+  ws.onMessage('color_mode', ({ mode }) => {
+    state.colorMode = mode;
+  });
+
+  ws.onMessage('join', ({ name, hex, zone }) => {
+    if (state.colorMode === 'last') paint(zone, hex, name);
+  });
+
+  ws.onMessage('color', ({ name, hex, zone }) => {
+    if (state.colorMode === 'last') paint(zone, hex, name);
+  });
+
+  ws.onMessage('room_color', ({ hex, zone, owner }) => {
+    paint(zone, hex, owner);
+  });
+
+  ws.onMessage('room_closed', () => ws.destroy());
+
+  ws.connect();
+}
+
+// ─── Rendering ─────────────────────────────────────────────────────────────
+
+/**
+ * @param {string|null|undefined} zoneId — no zone (host override, spotlight) = every bulb
+ */
+function paint(zoneId, hex, owner) {
+  if (!hex) return;
+  state.zones
+    .filter(z => !zoneId || z.id === zoneId)
+    .forEach(z => {
+      z.hex = hex;
+      z.owner = owner ?? null;
+      updateZone(z);
+    });
+}
+
+function renderRoom() {
+  const row = $('bulb-row');
+  row.innerHTML = '';
+
+  state.zones.forEach(zone => {
+    // No bulbs found yet (colors broadcast blind) is one zone with 0 lights — still show a bulb
+    for (let i = 0; i < Math.max(1, zone.lights); i++) {
+      const bulb = document.createElement('div');
+      bulb.className = 'bulb';
+      bulb.dataset.zone = zone.id;
+      bulb.innerHTML = `
+        <div class="bulb-glass"></div>
+        <div class="bulb-base"></div>
+        <div class="bulb-name"></div>
+      `;
+      row.appendChild(bulb);
+    }
+    updateZone(zone);
+  });
+}
+
+function updateZone(zone) {
+  document.querySelectorAll('.bulb').forEach(bulb => {
+    if (bulb.dataset.zone !== zone.id) return;
+    bulb.style.setProperty('--bulb-color', zone.hex ?? state.roomColorHex);
+    bulb.querySelector('.bulb-name').textContent = zone.owner ?? '';
+  });
+}
+
+boot();
@@ -12,10 +12,16 @@
  * It is a pure transport layer. App logic lives in app.js.
  */
 
+/**
+ * Path prefix of the room this page belongs to: '' for the main room,
+ * '/r/<id>' for the others. Prepend it to /ws, /host and /api/… URLs.
+ */
+export const ROOM_BASE = location.pathname.match(/^\/r\/[^/]+/)?.[0] ?? '';
+
 const WS_URL = (() => {
   const proto = location.protocol === 'https:' ? 'wss' : 'ws';
   const host = location.host;
-  return `${proto}://${host}/ws`;
+  return `${proto}://${host}${ROOM_BASE}/ws`;
 })();
 
 // Reconnect config
@@ -56,12 +62,12 @@ class PixelWSClient extends EventTarget {
       this.#reconnectDelay = RECONNECT_BASE_MS;
       // Drop stale messages from the queue:
       // - color: stale — would change the light to an outdated color
-      // - join: stale — app.js re-sends join from the welcome handler on reconnect,
-      //         so replaying an old queued join would cause a double-join
+      // - join / resume: stale — app.js re-sends them from the welcome handler
+      //         on reconnect, so replaying an old queued one would cause a double-join
       this.#queue = this.#queue.filter(msg => {
         try {
           const parsed = JSON.parse(msg);
-          return parsed.type !== 'color' && parsed.type !== 'join';
+          return parsed.type !== 'color' && parsed.type !== 'join' && parsed.type !== 'resume';
         } catch {
           return false;
         }
@@ -132,14 +138,24 @@ class PixelWSClient extends EventTarget {
   /**
    * Announce joining the session.
    * Server responds with msg:welcome containing the current state.
+   * @param {string} [team]   — optional team name; with ZONE_ASSIGN=team, teammates share a bulb
+   * @param {string} [device] — this phone's secret from an earlier 'joined'; none on a first join
    */
-  sendJoin(name, colorHex) {
-    this.send({ type: 'join', name, hex: colorHex });
+  sendJoin(name, colorHex, team, device) {
+    this.send({ type: 'join', name, hex: colorHex, team, device: device ?? undefined });
   }
 
-  /** User tapped a color swatch. */
-  sendColor(name, colorHex) {
-    this.send({ type: 'color', name, hex: colorHex });
+  /** Come back as the student this phone joined as before (page reload, new tab). */
+  sendResume(device, team) {
+    this.send({ type: 'resume', device, team });
+  }
+
+  /**
+   * User tapped a color swatch.
+   * @param {number} [brightness] — 10–100; omitted → server default
+   */
+  sendColor(name, colorHex, brightness) {
+    this.send({ type: 'color', name, hex: colorHex, brightness });
   }
 
   /** User tapped a reaction emoji. */
@@ -157,6 +173,11 @@ class PixelWSClient extends EventTarget {
     this.send({ type: 'question', name, text });
   }
 
+  /** User upvoted a question on the Q&A board — vote false takes it back. */
+  sendVote(id, vote) {
+    this.send({ type: 'question_vote', id, vote });
+  }
+
   // --- Private ---
 
   #flushQueue() {
@@ -0,0 +1,116 @@
+/**
+ * event-log.js — every WebSocket message in and out, with timestamps
+ *
+ * One JSON-lines file per server run under data/events/, named by start time:
+ *
+ *   { at, dir: 'in',  from, msg }              — a message handleMessage got
+ *   { at, dir: 'out', to, origin, msg }        — a broadcast
+ *
+ *   to     — 'all' | 'hosts' | 'hosts:<permission>' | 'viewers'
+ *   origin — 'student' | 'host' | 'server': whose message caused the broadcast
+ *            (server = timers, discovery, the spotlight clock…)
+ *
+ * Inbound messages keep only the fields listed in INBOUND_FIELDS, so a
+ * device secret or a host key a client sends never reaches the disk; outbound
+ * ones are the server's own and only lose SECRET_FIELDS. Writes go through a
+ * stream so a busy room never waits on the disk; unlike the session log this
+ * is a record for rehearsal and replay (see replay.js), not crash recovery.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+// What's kept of each message a client sends (see the schema in server.js).
+// Anything not listed — the device secret on join / resume, a stray key, a
+// field a newer phone adds — is dropped; an unknown type keeps only its type.
+const INBOUND_FIELDS = {
+  join:               ['name', 'hex', 'team'],
+  resume:             ['team'],
+  color:              ['name', 'hex', 'brightness'],
+  reaction:           ['name', 'emoji'],
+  text_response:      ['name', 'text'],
+  question:           ['name', 'text'],
+  question_vote:      ['id', 'vote'],
+  host_join:          [],
+  viewer_join:        [],
+  host_color:         ['hex', 'temp', 'sceneId', 'brightness'],
+  mode:               ['mode'],
+  slide_goto:         ['index'],
+  slides_reload:      [],
+  fx_scene:           ['scene'],
+  fx_options:         ['fadeMs', 'pulse', 'breathe'],
+  color_mode:         ['mode'],
+  spotlight_skip:     [],
+  spotlight_pin:      ['sid'],
+  house_lights:       ['on'],
+  rescan:             [],
+  replay_control:     ['action', 'speed'],
+  question_hide:      ['id'],
+  question_answered:  ['id', 'answered'],
+  question_pin:       ['id', 'pinned'],
+  question_spotlight: ['id', 'tint'],
+  kick:               ['sid'],
+  mute:               ['sid', 'muted'],
+  rename:             ['sid', 'to'],
+  lock:               ['locked'],
+  premod:             ['on'],
+  review:             ['id', 'approve'],
+};
+
+// Never written, whichever way the message went
+const SECRET_FIELDS = ['key', 'device'];
+
+function scrub(dir, msg) {
+  if (!msg || typeof msg !== 'object') return {};
+  if (dir !== 'in') {
+    const out = { ...msg };
+    SECRET_FIELDS.forEach(field => delete out[field]);
+    return out;
+  }
+  const out = { type: typeof msg.type === 'string' ? msg.type : null };
+  (Object.hasOwn(INBOUND_FIELDS, out.type) ? INBOUND_FIELDS[out.type] : []).forEach(field => {
+    if (field in msg) out[field] = msg[field];
+  });
+  return out;
+}
+
+/**
+ * @param {object}  opts
+ * @param {string}  opts.dir       — e.g. data/events
+ * @param {boolean} [opts.enabled] — false gives a no-op log (replay mode, EVENT_LOG=0)
+ */
+function createEventLog({ dir, enabled = true }) {
+  if (!enabled) return { file: null, record() {}, close() {} };
+
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  let failed = false;
+  stream.on('error', (err) => {
+    if (!failed) console.error('[events] Could not write event log:', err.message);
+    failed = true;
+  });
+
+  /** @param {{ dir, msg, from?, to?, origin? }} entry */
+  function record(entry) {
+    if (failed) return;
+    stream.write(JSON.stringify({ at: Date.now(), ...entry, msg: scrub(entry.dir, entry.msg) }) + '\n');
+  }
+
+  function close() {
+    stream.end();
+  }
+
+  return { file, record, close };
+}
+
+/** Newest log in `dir`, or null. */
+function latestEventLog(dir) {
+  if (!fs.existsSync(dir)) return null;
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).sort();
+  return files.length ? path.join(dir, files[files.length - 1]) : null;
+}
+
+module.exports = { createEventLog, latestEventLog };
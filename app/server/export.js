@@ -0,0 +1,213 @@
+/**
+ * export.js — post-talk session export
+ *
+ * Everything here is a pure function of the talk state (appState, including
+ * the history timeline the session log keeps — see session-store.js):
+ *
+ *   buildArchive(state)     — one JSON object with every stream
+ *   toCsv(archive, stream)  — one stream as CSV: questions · responses ·
+ *                             colors · reactions · attendance
+ *   renderReport(archive)   — printable HTML summary: attendance, color
+ *                             timeline, top questions
+ *
+ * The server serves them to the host only (see /api/export in server.js).
+ */
+
+'use strict';
+
+const TIMELINE_MAX = 600; // color swatches in the report — enough to read, small enough to print
+
+// ─── Archive ───────────────────────────────────────────────────────────────
+
+// Per-student rollup of the history timeline — by sid, so two students with
+// one name are two rows; sessions from before sids existed fall back to names
+function attendance(history) {
+  const students = new Map();
+  history.forEach(e => {
+    if (!e.name) return;
+    const key = e.sid ?? e.name;
+    let s = students.get(key);
+    if (!s) {
+      s = { name: e.name, firstSeenAt: e.at, lastSeenAt: e.at, joins: 0, colorsSent: 0, reactions: 0, lastHex: null };
+      students.set(key, s);
+    }
+    s.name = e.name;
+    s.lastSeenAt = e.at;
+    if (e.kind === 'join')     s.joins++;
+    if (e.kind === 'color')    s.colorsSent++;
+    if (e.kind === 'reaction') s.reactions++;
+    if (e.hex) s.lastHex = e.hex;
+  });
+  return [...students.values()].sort((a, b) => a.firstSeenAt - b.firstSeenAt);
+}
+
+/**
+ * @param {object} state — appState (or the same fields from a replayed session)
+ * @returns {object} archive
+ */
+function buildArchive(state) {
+  const history = state.history ?? [];
+  const colors = history.filter(e => e.kind === 'color');
+  const reactions = history.filter(e => e.kind === 'reaction');
+  const people = attendance(history);
+  return {
+    exportedAt: Date.now(),
+    startedAt:  history[0]?.at ?? null,
+    endedAt:    history.at(-1)?.at ?? null,
+    mode:       state.mode,
+    totals: {
+      students:      people.length,
+      colorChanges:  state.totalColorChanges,
+      reactions:     Object.values(state.reactionCounts).reduce((a, b) => a + b, 0),
+      questions:     state.questions.length,
+      textResponses: state.textResponses.length,
+    },
+    reactionCounts: state.reactionCounts,
+    questions:      state.questions,
+    textResponses:  state.textResponses,
+    colors:         colors.map(({ at, name, hex }) => ({ at, name, hex })),
+    reactions:      reactions.map(({ at, name, emoji }) => ({ at, name, emoji })),
+    attendance:     people,
+    history,
+  };
+}
+
+// ─── CSV ───────────────────────────────────────────────────────────────────
+
+const iso = ts => (ts ? new Date(ts).toISOString() : '');
+
+// stream → [header, row → value]
+const CSV_STREAMS = {
+  questions:  { rows: a => a.questions,     columns: [['time', r => iso(r.at)], ['name', r => r.name], ['question', r => r.text], ['color', r => r.hex], ['votes', r => r.votes ?? 0], ['answered', r => (r.answered ? 'yes' : 'no')]] },
+  responses:  { rows: a => a.textResponses, columns: [['time', r => iso(r.at)], ['name', r => r.name], ['response', r => r.text], ['color', r => r.hex]] },
+  colors:     { rows: a => a.colors,        columns: [['time', r => iso(r.at)], ['name', r => r.name], ['color', r => r.hex]] },
+  reactions:  { rows: a => a.reactions,     columns: [['time', r => iso(r.at)], ['name', r => r.name], ['reaction', r => r.emoji]] },
+  attendance: {
+    rows: a => a.attendance,
+    columns: [
+      ['name', r => r.name], ['first_seen', r => iso(r.firstSeenAt)], ['last_seen', r => iso(r.lastSeenAt)],
+      ['joins', r => r.joins], ['colors_sent', r => r.colorsSent], ['reactions', r => r.reactions], ['last_color', r => r.lastHex],
+    ],
+  },
+};
+
+function csvCell(value) {
+  let v = value == null ? '' : String(value);
+  // Student text opens in a spreadsheet — keep "=cmd()" and friends from running as formulas
+  if (/^[=+\-@\t\r]/.test(v)) v = `'${v}`;
+  return /[",\n\r]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+/** @returns {string|null} CSV text, or null for an unknown stream */
+function toCsv(archive, stream) {
+  const spec = CSV_STREAMS[stream];
+  if (!spec) return null;
+  const lines = [spec.columns.map(([h]) => h).join(',')];
+  spec.rows(archive).forEach(row => {
+    lines.push(spec.columns.map(([, get]) => csvCell(get(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ─── Printable report ──────────────────────────────────────────────────────
+
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const clock = ts => (ts ? new Date(ts).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : '—');
+
+function duration(a) {
+  if (!a.startedAt || !a.endedAt) return '—';
+  const mins = Math.round((a.endedAt - a.startedAt) / 60000);
+  return mins < 60 ? `${mins} min` : `${Math.floor(mins / 60)} h ${mins % 60} min`;
+}
+
+// Most-upvoted first, then oldest first
+function topQuestions(questions, n = 10) {
+  return [...questions]
+    .sort((a, b) => (b.votes ?? 0) - (a.votes ?? 0) || (a.at ?? 0) - (b.at ?? 0))
+    .slice(0, n);
+}
+
+/** @returns {string} self-contained HTML page, laid out for print */
+function renderReport(a) {
+  const dateLabel = new Date(a.startedAt ?? a.exportedAt).toLocaleDateString('en-US', { dateStyle: 'long' });
+  // Long talks: sample the timeline evenly so it still fits the page
+  const step = Math.max(1, Math.ceil(a.colors.length / TIMELINE_MAX));
+  const timeline = a.colors.filter((_, i) => i % step === 0);
+
+  const stat = (label, value) => `<div class="stat"><div class="stat-value">${esc(value)}</div><div class="stat-label">${esc(label)}</div></div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Light Room — session report, ${esc(dateLabel)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; max-width: 900px; margin: 32px auto; padding: 0 24px; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  h2 { margin: 32px 0 12px; font-size: 18px; border-bottom: 2px solid #111; padding-bottom: 4px; }
+  .sub { color: #666; margin: 0 0 24px; }
+  .stats { display: flex; flex-wrap: wrap; gap: 12px; }
+  .stat { border: 1px solid #ccc; border-radius: 8px; padding: 10px 16px; min-width: 110px; }
+  .stat-value { font-size: 24px; font-weight: 700; }
+  .stat-label { font-size: 12px; color: #666; text-transform: uppercase; letter-spacing: 0.05em; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e5e5; vertical-align: top; }
+  th { font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #666; }
+  .dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; vertical-align: middle; border: 1px solid rgba(0,0,0,0.2); }
+  .timeline { display: flex; height: 40px; border-radius: 6px; overflow: hidden; border: 1px solid #ccc; }
+  .timeline div { flex: 1; }
+  .timeline-axis { display: flex; justify-content: space-between; font-size: 12px; color: #666; margin-top: 4px; }
+  .empty { color: #999; font-style: italic; }
+  .print-btn { float: right; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  @media print { .print-btn { display: none; } body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print / save as PDF</button>
+<h1>Light Room — session report</h1>
+<p class="sub">${esc(dateLabel)} · ${clock(a.startedAt)}–${clock(a.endedAt)} · ${duration(a)}</p>
+
+<div class="stats">
+  ${stat('students', a.totals.students)}
+  ${stat('color changes', a.totals.colorChanges)}
+  ${stat('reactions', a.totals.reactions)}
+  ${stat('questions', a.totals.questions)}
+  ${stat('text responses', a.totals.textResponses)}
+</div>
+<p>${Object.entries(a.reactionCounts).map(([emoji, n]) => `${esc(emoji)} ${n}`).join(' &nbsp; ')}</p>
+
+<h2>Color timeline</h2>
+${timeline.length
+    ? `<div class="timeline">${timeline.map(c => `<div style="background:${esc(c.hex)}" title="${esc(c.name)} · ${clock(c.at)}"></div>`).join('')}</div>
+<div class="timeline-axis"><span>${clock(timeline[0].at)}</span><span>${a.colors.length} picks${step > 1 ? ` (1 in ${step} shown)` : ''}</span><span>${clock(timeline.at(-1).at)}</span></div>`
+    : '<p class="empty">No colors picked.</p>'}
+
+<h2>Top questions</h2>
+${a.questions.length
+    ? `<table><tr><th>#</th><th>Question</th><th>From</th><th>Votes</th><th>Time</th></tr>
+${topQuestions(a.questions).map((q, i) => `<tr><td>${i + 1}</td><td>${esc(q.text)}</td><td><span class="dot" style="background:${esc(q.hex)}"></span>${esc(q.name)}</td><td>${q.votes ?? 0}</td><td>${clock(q.at)}</td></tr>`).join('\n')}
+</table>`
+    : '<p class="empty">No questions asked.</p>'}
+
+<h2>Attendance</h2>
+${a.attendance.length
+    ? `<table><tr><th>Student</th><th>First seen</th><th>Last seen</th><th>Colors</th><th>Reactions</th></tr>
+${a.attendance.map(s => `<tr><td><span class="dot" style="background:${esc(s.lastHex ?? '#fff')}"></span>${esc(s.name)}</td><td>${clock(s.firstSeenAt)}</td><td>${clock(s.lastSeenAt)}</td><td>${s.colorsSent}</td><td>${s.reactions}</td></tr>`).join('\n')}
+</table>`
+    : '<p class="empty">Nobody joined.</p>'}
+
+<h2>Text responses</h2>
+${a.textResponses.length
+    ? `<table><tr><th>Response</th><th>From</th><th>Time</th></tr>
+${a.textResponses.map(r => `<tr><td>${esc(r.text)}</td><td>${esc(r.name)}</td><td>${clock(r.at)}</td></tr>`).join('\n')}
+</table>`
+    : '<p class="empty">No text responses.</p>'}
+</body>
+</html>`;
+}
+
+module.exports = { buildArchive, toCsv, renderReport, CSV_STREAMS };
@@ -0,0 +1,191 @@
+/**
+ * filter.js — word filter for student names, questions and text responses
+ *
+ * A local word list (data/filter.json) split into rules, each with what to do
+ * when one of its words turns up:
+ *
+ *   { "rules": [
+ *       { "action": "mask",   "words": ["damn", "crap*"] },
+ *       { "action": "hold",   "words": ["stupid"] },
+ *       { "action": "reject", "words": ["kill yourself"] }
+ *   ] }
+ *
+ *   mask   — the word is replaced with asterisks; the post goes out
+ *   hold   — the post waits for a moderator, as under pre-moderation (see room.js)
+ *   reject — the post is dropped
+ *
+ * A name can't be held or masked halfway into something readable, so for
+ * names hold and reject both refuse the join and mask masks it.
+ *
+ * Words match whole words only ("ass" doesn't catch "class"); a trailing or
+ * leading * matches any ending or start ("crap*" catches "crappy"), and a
+ * space matches any gap between words. Before matching, both the text and the
+ * list are normalized so the usual dodges still match:
+ *
+ *   - case and accents            DÁMN
+ *   - look-alike letters          dаmn (Cyrillic а), ｄａｍｎ (fullwidth)
+ *   - leetspeak digits / symbols  d4mn, $h1t, @ss
+ *   - invisible characters        d​amn
+ *   - repeats and punctuation     daaamn, d.a.m.n, d-a-m-n
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const ACTIONS  = ['mask', 'hold', 'reject'];
+const SEVERITY = { mask: 1, hold: 2, reject: 3 }; // several rules hit — the strictest wins
+
+// What else can stand in for a letter. These go into the patterns rather than
+// being folded into the text, so "damn!" still ends at the "n".
+const LEET = {
+  a: '4@', b: '8', e: '3€', g: '9', i: '1!|', l: '1|£', o: '0', s: '5$', t: '7+', z: '2',
+};
+
+// Cyrillic, Greek and Latin letters that pass for a-z, after lowercasing —
+// fullwidth and other compatibility forms are already folded by NFKD
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+  'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j',
+  'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g', 'ı': 'i', 'ł': 'l', 'ø': 'o',
+  'đ': 'd', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'μ': 'u', 'ν': 'v',
+  'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+};
+
+// Between two letters of a word: punctuation and symbols, not spaces
+const JOINER = '[^\\p{L}\\p{N}\\s]*';
+const GAP    = '[^\\p{L}\\p{N}]+';
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+/** One character, folded. Can come out empty (invisible) or longer (ß → ss). */
+function normalizeChar(ch) {
+  const folded = ch.normalize('NFKD').replace(/[\p{M}\p{Cf}]/gu, '').toLowerCase();
+  let out = '';
+  for (const c of folded) out += CONFUSABLES[c] ?? c;
+  return out;
+}
+
+/**
+ * @returns {{ text: string, from: number[], to: number[] }} the normalized
+ *   text, and for each of its UTF-16 units the original range it came from
+ */
+function normalize(text) {
+  let out = '';
+  const from = [];
+  const to = [];
+  let i = 0;
+  for (const ch of text) {
+    const n = normalizeChar(ch);
+    for (let k = 0; k < n.length; k++) {
+      from.push(i);
+      to.push(i + ch.length);
+    }
+    out += n;
+    i += ch.length;
+  }
+  return { text: out, from, to };
+}
+
+// Escaped for use inside a [class] under the u flag
+const escapeClass = s => s.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+
+function letterPattern(c) {
+  return `[${escapeClass(c + (LEET[c] ?? ''))}]+`;
+}
+
+function wordPattern(word) {
+  const trimmed = word.trim();
+  const open  = trimmed.startsWith('*');
+  const close = trimmed.endsWith('*');
+  const core  = normalize(trimmed.replace(/^\*|\*$/g, '')).text;
+  if (!core.replace(/\s/g, '')) return null;
+
+  const body = core.split(/\s+/).filter(Boolean)
+    .map(part => [...part].map(letterPattern).join(JOINER))
+    .join(GAP);
+  return (open ? `${WORD_CHAR}*` : `(?<!${WORD_CHAR})`) + body + (close ? `${WORD_CHAR}*` : `(?!${WORD_CHAR})`);
+}
+
+/**
+ * @param {object} opts
+ * @param {string|null} opts.file — the word list; none or missing, nothing is filtered
+ */
+function createFilter({ file }) {
+  const rules = loadRules(file);
+
+  /**
+   * @returns {{ action, text, words }|null} null when nothing matched; else
+   *   the strictest action hit, the text with mask words masked, and the list
+   *   words that matched
+   */
+  function check(text) {
+    if (!rules.length || !text) return null;
+    const norm = normalize(text);
+    let action = null;
+    const words = [];
+    const masks = []; // [start, end) in the original text
+
+    rules.forEach(rule => {
+      rule.patterns.forEach(({ word, re }) => {
+        re.lastIndex = 0;
+        let m;
+        let hit = false;
+        while ((m = re.exec(norm.text)) !== null) {
+          if (!m[0]) { re.lastIndex++; continue; }
+          hit = true;
+          if (rule.action === 'mask') masks.push([norm.from[m.index], norm.to[m.index + m[0].length - 1]]);
+        }
+        if (!hit) return;
+        if (!words.includes(word)) words.push(word);
+        if (!action || SEVERITY[rule.action] > SEVERITY[action]) action = rule.action;
+      });
+    });
+    if (!action) return null;
+    return { action, text: mask(text, masks), words };
+  }
+
+  return { check, size: () => rules.reduce((n, r) => n + r.patterns.length, 0) };
+}
+
+function mask(text, ranges) {
+  if (!ranges.length) return text;
+  ranges.sort((a, b) => a[0] - b[0]);
+  let out = '';
+  let at = 0;
+  ranges.forEach(([start, end]) => {
+    start = Math.max(start, at);
+    if (end <= start) return;
+    out += text.slice(at, start) + '*'.repeat([...text.slice(start, end)].length);
+    at = end;
+  });
+  return out + text.slice(at);
+}
+
+function loadRules(file) {
+  let parsed;
+  try {
+    if (!file || !fs.existsSync(file)) return [];
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`[filter] Could not load ${file} — nothing will be filtered:`, err.message);
+    return [];
+  }
+
+  const rules = [];
+  (Array.isArray(parsed?.rules) ? parsed.rules : []).forEach((rule, i) => {
+    if (!ACTIONS.includes(rule?.action) || !Array.isArray(rule.words)) {
+      console.warn(`[filter] Skipping rule ${i + 1}: needs an action (${ACTIONS.join(' | ')}) and a words list`);
+      return;
+    }
+    const patterns = [];
+    rule.words.forEach(word => {
+      const source = typeof word === 'string' ? wordPattern(word) : null;
+      if (source) patterns.push({ word: word.trim(), re: new RegExp(source, 'gu') });
+    });
+    rules.push({ action: rule.action, patterns });
+  });
+  return rules;
+}
+
+module.exports = { createFilter, ACTIONS };
@@ -0,0 +1,168 @@
+/**
+ * host-auth.js — signed host sessions
+ *
+ * The host key is only ever typed into the dashboard's login form: POST /auth
+ * trades it for a session token, and from then on the token is what proves
+ * "host" — on REST calls and on the WebSocket upgrade, never inside messages.
+ *
+ *   token = base64url({ room, role, sid, exp }) + '.' + base64url(HMAC-SHA256)
+ *
+ * role is whichever of the room's keys was typed (see roles.js).
+ *
+ * Invite links carry a token of their own instead of a role key:
+ *
+ *   invite = base64url({ kind: 'invite', room, role, exp }) + '.' + base64url(HMAC-SHA256)
+ *
+ * signed with the same secret, good for one role in one room until it expires
+ * (inviteTtlMs). POST /auth { invite } trades it for a session like a key
+ * would; it's never accepted as a session itself.
+ *
+ * Browsers get it as an HttpOnly, SameSite=Strict cookie scoped to the room's
+ * path (lr_host_<room>); scripts can send it as `Authorization: Bearer <token>`.
+ * Tokens expire after ttlMs; logout revokes one early. The signing secret is
+ * kept in a file so sessions survive a server restart mid-talk.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const b64 = buf => Buffer.from(buf).toString('base64url');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.secretFile — created with a random secret on first run
+ * @param {number} opts.ttlMs
+ * @param {number} [opts.inviteTtlMs] — how long an invite link works (default 24 h)
+ */
+function createHostAuth({ secretFile, ttlMs, inviteTtlMs = 24 * 60 * 60 * 1000 }) {
+  const secret = loadSecret(secretFile);
+  const revoked = new Map(); // sid → exp, kept until the token would have expired anyway
+
+  function sign(data) {
+    return b64(crypto.createHmac('sha256', secret).update(data).digest());
+  }
+
+  /** @returns {{ token, exp, sid }} */
+  function issue(room, role) {
+    const sid = crypto.randomBytes(9).toString('base64url');
+    const exp = Date.now() + ttlMs;
+    const body = b64(JSON.stringify({ room, role, sid, exp }));
+    return { token: `${body}.${sign(body)}`, exp, sid };
+  }
+
+  // The signed payload of a session or invite token, or null for a forged one
+  function unpack(token) {
+    if (typeof token !== 'string') return null;
+    const [body, sig] = token.split('.');
+    if (!body || !sig) return null;
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /** @returns {{ room, role, sid, exp }|null} the session, if the token is good for `room` right now */
+  function verify(token, room) {
+    const session = unpack(token);
+    if (!session || session.kind === 'invite') return null;
+    if (session.room !== room || !(session.exp > Date.now()) || revoked.has(session.sid)) return null;
+    return session;
+  }
+
+  /** @returns {{ token, exp }} an invite link token for `role` in `room` */
+  function invite(room, role) {
+    const exp = Date.now() + inviteTtlMs;
+    const body = b64(JSON.stringify({ kind: 'invite', room, role, exp }));
+    return { token: `${body}.${sign(body)}`, exp };
+  }
+
+  /** @returns {string|null} the role an invite token is good for in `room` right now */
+  function redeem(token, room) {
+    const inv = unpack(token);
+    if (inv?.kind !== 'invite' || inv.room !== room || !(inv.exp > Date.now())) return null;
+    return inv.role;
+  }
+
+  function revoke(session) {
+    const now = Date.now();
+    revoked.forEach((exp, sid) => { if (exp <= now) revoked.delete(sid); });
+    revoked.set(session.sid, session.exp);
+  }
+
+  /** Still valid? For sessions checked once at connect time and held on to. */
+  function isLive(session) {
+    return Boolean(session) && session.exp > Date.now() && !revoked.has(session.sid);
+  }
+
+  /** Session from the request's bearer header or cookie. */
+  function fromRequest(req, room) {
+    const bearer = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (bearer) return verify(bearer, room);
+    return verify(readCookie(req, cookieName(room)), room);
+  }
+
+  /**
+   * @param {string}      room
+   * @param {string}      cookiePath — '/' for the main room, '/r/<id>' for others
+   * @param {object|null} issued     — from issue(); null clears the cookie
+   * @param {boolean}     secure     — request came in over https (e.g. through ngrok)
+   */
+  function cookieHeader(room, cookiePath, issued, secure) {
+    const parts = [
+      `${cookieName(room)}=${issued ? issued.token : ''}`,
+      `Path=${cookiePath}`,
+      `Max-Age=${issued ? Math.floor((issued.exp - Date.now()) / 1000) : 0}`,
+      'HttpOnly',
+      'SameSite=Strict',
+    ];
+    if (secure) parts.push('Secure');
+    return parts.join('; ');
+  }
+
+  return { issue, verify, invite, redeem, revoke, isLive, fromRequest, cookieHeader };
+}
+
+// Typed keys are compared as HMAC digests: always 32 bytes each, so
+// timingSafeEqual never sees a length mismatch and the time taken says
+// nothing about how much of the key was right, or how long it is
+const COMPARE_KEY = crypto.randomBytes(32);
+
+/** Constant-time string comparison for host, role and admin keys. */
+function sameKey(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string') return false;
+  const digest = s => crypto.createHmac('sha256', COMPARE_KEY).update(s).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function cookieName(room) {
+  return `lr_host_${room}`;
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie ?? '';
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0 && part.slice(0, eq).trim() === name) return part.slice(eq + 1).trim();
+  }
+  return null;
+}
+
+function loadSecret(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch {
+    const secret = crypto.randomBytes(32);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+module.exports = { createHostAuth, sameKey };
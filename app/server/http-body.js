@@ -0,0 +1,44 @@
+/**
+ * http-body.js — reading a POST body with a size cap
+ *
+ * Every REST endpoint that takes a body (rooms, auth, slides, script) reads it
+ * through here, so the over-the-limit path exists once: the client gets a
+ * single 413, the upload is cut off, and the handler never runs.
+ */
+
+'use strict';
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse}  res
+ * @param {number}   limit  — bytes
+ * @param {function} onBody — (body: string) → void; only called for a body within the limit
+ */
+function readBody(req, res, limit, onBody) {
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+
+  req.on('data', chunk => {
+    if (tooLarge) return;
+    size += chunk.length;
+    if (size > limit) {
+      tooLarge = true;
+      res.writeHead(413, { Connection: 'close' });
+      // Cut the upload off once the 413 is out — the rest isn't worth reading
+      res.end(() => req.destroy());
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (tooLarge || res.writableEnded) return;
+    onBody(Buffer.concat(chunks).toString('utf8'));
+  });
+
+  // A client that hangs up mid-upload mustn't take the server with it
+  req.on('error', () => {});
+}
+
+module.exports = { readBody };
@@ -0,0 +1,160 @@
+/**
+ * aggregate.js — how student picks become a zone color
+ *
+ * With 30 students tapping, last-tap-wins just flickers the bulb. The host can
+ * switch the room to another aggregation mode:
+ *
+ *   last  — every pick repaints the zone immediately (original behaviour)
+ *   blend — zone shows the average of each student's latest pick in the last BLEND_MS
+ *   vote  — picks are collected for VOTE_WINDOW_MS, then the most-picked color wins
+ *   turns — picks queue up and each one holds the zone for TURN_MS
+ *   spotlight — students take turns holding every bulb (see spotlight.js);
+ *           the server gates picks by holder and never routes them through here
+ *
+ * Each zone aggregates its own students' picks. A pick is a look in the
+ * effects.js sense, limited to { hex, brightness? } — students can't pick
+ * whites or built-in scenes. The server passes an `apply` callback that
+ * actually paints the zone (zones + effects + broadcast).
+ */
+
+'use strict';
+
+const { hexToRgb, rgbToHex } = require('./effects');
+
+const MODES = ['last', 'blend', 'vote', 'turns', 'spotlight'];
+
+const DEFAULT_BRIGHTNESS = 90; // blend stand-in for picks that didn't set one
+
+const BLEND_MS       = 20000; // picks older than this drop out of the blend
+const VOTE_WINDOW_MS = 5000;
+const TURN_MS        = 4000;
+const MAX_QUEUE      = 30;    // per zone — one entry per student anyway
+const TICK_MS        = 250;
+
+/**
+ * @param {object}   opts
+ * @param {function} opts.apply  — (zoneId, look, owner) → void
+ * @param {string}   [opts.mode] — one of MODES
+ */
+function createAggregator({ apply, mode = 'last' }) {
+  // zone id → { recent: Map<key, { look, at }>, votes: Map<key, look>, windowEndsAt, queue: [{ key, owner, look }], turnEndsAt }
+  const zoneState = new Map();
+  let timer = null;
+
+  function stateFor(zoneId) {
+    let s = zoneState.get(zoneId);
+    if (!s) {
+      s = { recent: new Map(), votes: new Map(), windowEndsAt: 0, queue: [], turnEndsAt: 0 };
+      zoneState.set(zoneId, s);
+    }
+    return s;
+  }
+
+  function blend(zoneId, s, now) {
+    s.recent.forEach((p, key) => { if (now - p.at > BLEND_MS) s.recent.delete(key); });
+    if (s.recent.size === 0) return;
+    const sum = { r: 0, g: 0, b: 0, brightness: 0 };
+    s.recent.forEach(p => {
+      const c = hexToRgb(p.look.hex);
+      sum.r += c.r; sum.g += c.g; sum.b += c.b;
+      sum.brightness += p.look.brightness ?? DEFAULT_BRIGHTNESS;
+    });
+    const n = s.recent.size;
+    const hex = rgbToHex({ r: sum.r / n, g: sum.g / n, b: sum.b / n });
+    apply(zoneId, { hex, brightness: Math.round(sum.brightness / n) }, `blend of ${n}`);
+  }
+
+  function closeVote(zoneId, s) {
+    const tally = new Map();
+    // Map order is oldest vote first, so `>=` lets the most recent pick win a tie
+    let winner = null;
+    let best = 0;
+    s.votes.forEach(look => {
+      const count = (tally.get(look.hex) ?? 0) + 1;
+      tally.set(look.hex, count);
+      if (count >= best) { best = count; winner = look; }
+    });
+    const total = s.votes.size;
+    s.votes.clear();
+    s.windowEndsAt = 0;
+    if (winner) apply(zoneId, winner, `vote ${best}/${total}`);
+  }
+
+  function nextTurn(zoneId, s, now) {
+    const turn = s.queue.shift();
+    if (!turn) return;
+    s.turnEndsAt = now + TURN_MS;
+    apply(zoneId, turn.look, turn.owner);
+  }
+
+  function tick() {
+    const now = Date.now();
+    zoneState.forEach((s, zoneId) => {
+      if (mode === 'vote' && s.windowEndsAt && now >= s.windowEndsAt) closeVote(zoneId, s);
+      if (mode === 'turns' && now >= s.turnEndsAt) nextTurn(zoneId, s, now);
+    });
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────
+
+  /**
+   * A student picked a color ({ hex, brightness? }) for their zone.
+   * @param {string} key   — one per student: a new pick replaces their last one
+   * @param {string} owner — what the zone shows as painted by; the key if not given
+   */
+  function pick(zoneId, key, look, owner = key) {
+    const now = Date.now();
+    const s = stateFor(zoneId);
+
+    switch (mode) {
+      case 'blend':
+        // Re-insert so a student's latest pick replaces their older one
+        s.recent.delete(key);
+        s.recent.set(key, { look, at: now });
+        blend(zoneId, s, now);
+        break;
+
+      case 'vote':
+        s.votes.delete(key);
+        s.votes.set(key, look);
+        if (!s.windowEndsAt) s.windowEndsAt = now + VOTE_WINDOW_MS;
+        break;
+
+      case 'turns': {
+        // One place in line per student — a new pick updates it in place
+        const queued = s.queue.find(t => t.key === key);
+        if (queued) Object.assign(queued, { look, owner });
+        else if (s.queue.length < MAX_QUEUE) s.queue.push({ key, owner, look });
+        if (now >= s.turnEndsAt) nextTurn(zoneId, s, now);
+        break;
+      }
+
+      default:
+        apply(zoneId, look, owner);
+        break;
+    }
+  }
+
+  /** Switch mode; pending votes and queues are dropped. */
+  function setMode(next) {
+    mode = next;
+    zoneState.clear();
+  }
+
+  function getMode() {
+    return mode;
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, TICK_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { pick, setMode, getMode, start, stop };
+}
+
+module.exports = { createAggregator, MODES };
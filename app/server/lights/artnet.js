@@ -0,0 +1,191 @@
+/**
+ * artnet.js — DMX fixtures over Art-Net
+ *
+ * For stage rigs: RGB fixtures on a DMX network behind an Art-Net node. Each
+ * fixture is a run of channels at a start address in a universe; the driver
+ * keeps a 512-channel buffer per universe and sends it as an ArtDMX packet.
+ *
+ *   ARTNET_FIXTURES="par1=0:1;par2=0:4;wash=1:10:drgbw"
+ *
+ * Each entry is name=universe:startChannel[:layout]. Channels are 1-based, as
+ * printed on the fixture. Layouts:
+ *
+ *   rgb   (default) — R G B
+ *   rgbw            — R G B W
+ *   drgb            — master dimmer, R G B
+ *   drgbw           — master dimmer, R G B W
+ *
+ * Fixture names are the registry ids, so they go straight into LIGHT_ZONES.
+ *
+ * Art-Net is one-way UDP with no replies, so there are no health stats. Nodes
+ * expect a steady stream of frames: every universe is re-sent every
+ * REFRESH_MS even when nothing changed, and immediately when something did.
+ * Fixtures start blacked out, which is also what restore goes back to.
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const { hexToRgb, tempToHex } = require('./effects');
+
+const ARTNET_PORT = 6454;
+const REFRESH_MS  = 1000; // spec asks for a keep-alive frame at least every 4 s
+const LAYOUTS = {
+  rgb:   ['r', 'g', 'b'],
+  rgbw:  ['r', 'g', 'b', 'w'],
+  drgb:  ['d', 'r', 'g', 'b'],
+  drgbw: ['d', 'r', 'g', 'b', 'w'],
+};
+
+/**
+ * Parse ARTNET_FIXTURES. Malformed entries are skipped with a warning.
+ * @returns {{ id, universe, channel, layout }[]}
+ */
+function parseFixtures(spec = '') {
+  const fixtures = [];
+  spec.split(';').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const [id, addr = ''] = entry.split('=').map(s => s.trim());
+    const [universe, channel, layout = 'rgb'] = addr.split(':').map(s => s.trim());
+    const u = Number(universe);
+    const ch = Number(channel);
+    const width = LAYOUTS[layout]?.length;
+    const ok = id && width && Number.isInteger(u) && u >= 0 && u < 32768 &&
+      Number.isInteger(ch) && ch >= 1 && ch + width - 1 <= 512;
+    if (!ok) {
+      console.warn(`[artnet] Ignoring fixture "${entry}" — expected name=universe:channel[:${Object.keys(LAYOUTS).join('|')}]`);
+      return;
+    }
+    if (fixtures.some(f => f.id === id)) {
+      console.warn(`[artnet] Ignoring duplicate fixture "${id}"`);
+      return;
+    }
+    fixtures.push({ id, universe: u, channel: ch, layout });
+  });
+  return fixtures;
+}
+
+/** ArtDMX packet for one universe (Art-Net 4, OpDmx 0x5000). */
+function artDmxPacket(universe, sequence, data) {
+  const header = Buffer.alloc(18);
+  header.write('Art-Net\0', 0, 'ascii');
+  header.writeUInt16LE(0x5000, 8);    // OpCode
+  header.writeUInt16BE(14, 10);       // protocol version
+  header.writeUInt8(sequence, 12);    // 1–255, 0 = don't reorder
+  header.writeUInt8(0, 13);           // physical port
+  header.writeUInt16LE(universe, 14); // SubUni (low byte) + Net (high 7 bits)
+  header.writeUInt16BE(data.length, 16);
+  return Buffer.concat([header, data]);
+}
+
+/** WiZ setPilot params → channel values for a layout, or null if it can't be shown. */
+function pilotToChannels(params, layout) {
+  let rgb;
+  if (params.state === false) rgb = { r: 0, g: 0, b: 0 };
+  else if (params.r !== undefined) rgb = { r: params.r, g: params.g, b: params.b };
+  else if (params.temp) rgb = hexToRgb(tempToHex(params.temp));
+  else return null; // WiZ scene
+
+  const level = params.state === false ? 0 : (params.dimming ?? 100) / 100;
+  const fields = LAYOUTS[layout];
+  const hasDimmer = fields.includes('d');
+  // Without a dimmer channel, brightness scales the color itself
+  const scale = hasDimmer ? 1 : level;
+  let { r, g, b } = rgb;
+  let w = 0;
+  if (fields.includes('w')) {
+    // Pull the common white part out onto the white emitter
+    w = Math.min(r, g, b);
+    r -= w; g -= w; b -= w;
+  }
+  const values = { d: level * 255, r: r * scale, g: g * scale, b: b * scale, w: w * scale };
+  return fields.map(f => Math.max(0, Math.min(255, Math.round(values[f]))));
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.fixtures   — ARTNET_FIXTURES spec (see above)
+ * @param {string} [opts.artnetHost] — node IP, or a broadcast address (default 2.255.255.255, the Art-Net primary range)
+ * @param {number} [opts.artnetPort]
+ */
+function createArtNetDriver({ fixtures: spec, artnetHost = '2.255.255.255', artnetPort = ARTNET_PORT } = {}) {
+  const fixtures = parseFixtures(spec);
+  if (fixtures.length === 0) {
+    throw new Error('LIGHT_DRIVER=artnet needs ARTNET_FIXTURES, e.g. "par1=0:1;par2=0:4" (see lights/artnet.js)');
+  }
+
+  const sock = dgram.createSocket('udp4');
+  sock.on('error', err => console.error('[artnet] Socket error:', err.message));
+  sock.bind(() => sock.setBroadcast(true));
+
+  const universes = new Map(); // universe → Buffer(512)
+  let sequence = 0;
+  let warnedScene = false;
+  let warnedSend = false;
+
+  // id → { id, ip, port, mac, configured, oneWay, universe, channel, layout, lastAckAt, reachable,
+  //        sent, acked, failures, scansMissed, latencyMs, pilot }
+  const registry = new Map(fixtures.map(f => [f.id, {
+    ...f, ip: artnetHost, port: artnetPort, mac: null, configured: true, oneWay: true,
+    lastAckAt: null, reachable: true, sent: 0, acked: 0, failures: 0, scansMissed: 0, latencyMs: null,
+    pilot: { state: false },
+  }]));
+  fixtures.forEach(f => {
+    if (!universes.has(f.universe)) universes.set(f.universe, Buffer.alloc(512));
+  });
+
+  function sendUniverse(universe) {
+    sequence = (sequence % 255) + 1;
+    const packet = artDmxPacket(universe, sequence, universes.get(universe));
+    sock.send(packet, artnetPort, artnetHost, (err) => {
+      if (err && !warnedSend) {
+        console.error(`[artnet] Can't send to ${artnetHost}:${artnetPort}:`, err.message);
+        warnedSend = true;
+      }
+    });
+  }
+
+  const refresh = setInterval(() => universes.forEach((_, u) => sendUniverse(u)), REFRESH_MS);
+
+  /**
+   * @param {object}        params — WiZ setPilot params (see wiz.js)
+   * @param {string[]|null} [ids]  — fixture names; null = every fixture
+   */
+  function setPilot(params, ids = null) {
+    const targets = ids ? ids.map(id => registry.get(id)).filter(Boolean) : [...registry.values()];
+    const dirty = new Set();
+    targets.forEach(fixture => {
+      const values = pilotToChannels(params, fixture.layout);
+      if (!values) return;
+      universes.get(fixture.universe).set(values, fixture.channel - 1);
+      fixture.pilot = { ...params };
+      fixture.sent++;
+      dirty.add(fixture.universe);
+    });
+    if (params.sceneId && !warnedScene) {
+      console.warn('[artnet] WiZ scenes have no DMX equivalent — ignoring sceneId');
+      warnedScene = true;
+    }
+    dirty.forEach(sendUniverse);
+  }
+
+  function bulbs() {
+    return [...registry.values()].map(f => ({ ...f, pilot: { ...f.pilot } }));
+  }
+
+  function close() {
+    clearInterval(refresh);
+    try { sock.close(); } catch (_) {}
+  }
+
+  return {
+    name: 'artnet',
+    scenes: false,
+    setPilot,
+    poll() {},                                    // nothing answers on Art-Net
+    discover: () => Promise.resolve([...registry.keys()]), // fixtures are configured, not found
+    bulbs,
+    close,
+  };
+}
+
+module.exports = { createArtNetDriver, parseFixtures, pilotToChannels, artDmxPacket, ARTNET_PORT };
@@ -0,0 +1,284 @@
+/**
+ * effects.js — light effects engine
+ *
+ * Sits between the server and the light driver. Instead of hard-cutting every
+ * bulb with a single setPilot, the server tells the engine what each zone
+ * *should* look like and the engine animates towards it on a fixed tick.
+ *
+ * A look is one of
+ *   { hex, brightness? }      — a color
+ *   { temp, brightness? }     — white at a color temperature (kelvin)
+ *   { sceneId, brightness? }  — a built-in WiZ scene (the bulb animates it)
+ * brightness is WiZ dimming, 10–100; BASE_DIMMING when left out.
+ *
+ *
+ *   fade    — cross-fade from the old zone color to the new one (white and
+ *             built-in scenes cut straight over — WiZ can't blend those)
+ *   pulse   — brief bright flash when a student reacts
+ *   breathe — slow brightness swell while the room is in ambient mode
+ *   scenes  — rainbow · party (strobe-safe) · sunset, overriding zone colors
+ *
+ * Command rate is capped: each zone gets at most one setPilot per tick
+ * (maxRate ticks per second), and only when the frame actually changed — a
+ * static room sends nothing at all.
+ */
+
+'use strict';
+
+const PULSE_MS      = 700;
+const BREATHE_MS    = 6000;  // one full in-and-out breath
+const RAINBOW_MS    = 12000; // one full trip around the hue wheel
+const PARTY_STEP_MS = 700;   // ≥ 0.5 s per color keeps it well under 3 flashes/s (photosensitivity guideline)
+const PARTY_FADE_MS = 250;
+const SUNSET_MS     = 90000; // then holds on the last color
+const BASE_DIMMING  = 90;
+
+const PARTY_COLORS  = ['#FF6EB4', '#4DBBFF', '#FBBF24', '#C77DFF', '#4ADE80', '#FF6B35'];
+const SUNSET_COLORS = ['#FFB347', '#FF8C42', '#FF5E5B', '#D4477A', '#6A3D9A', '#2B1B4A'];
+
+const SCENES = ['rainbow', 'party', 'sunset'];
+
+// ─── Color math ────────────────────────────────────────────────────────────
+
+function hexToRgb(hex) {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return { r, g, b };
+}
+
+function mix(a, b, t) {
+  return {
+    r: a.r + (b.r - a.r) * t,
+    g: a.g + (b.g - a.g) * t,
+    b: a.b + (b.b - a.b) * t,
+  };
+}
+
+function hueToRgb(hue) {
+  // HSL with s=1, l=0.5 — fully saturated, which is what bulbs do best
+  const k = n => (n + hue / 30) % 12;
+  const f = n => 0.5 - 0.5 * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+}
+
+// Approximate RGB of a white at `temp` kelvin (Tanner Helland's curve fit).
+// Used as the fade start point when leaving white, and for on-screen swatches.
+function tempToRgb(temp) {
+  const t = temp / 100;
+  const clamp = v => Math.max(0, Math.min(255, v));
+  const r = t <= 66 ? 255 : clamp(329.698727446 * Math.pow(t - 60, -0.1332047592));
+  const g = t <= 66
+    ? clamp(99.4708025861 * Math.log(t) - 161.1195681661)
+    : clamp(288.1221695283 * Math.pow(t - 60, -0.0755148492));
+  const b = t >= 66 ? 255 : t <= 19 ? 0 : clamp(138.5177312231 * Math.log(t - 10) - 305.0447927307);
+  return { r, g, b };
+}
+
+function rgbToHex({ r, g, b }) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function tempToHex(temp) {
+  return rgbToHex(tempToRgb(temp));
+}
+
+// RGB a look is heading for — null for built-in scenes (the bulb picks)
+function lookRgb(look) {
+  if (look.hex) return hexToRgb(look.hex);
+  if (look.temp) return tempToRgb(look.temp);
+  return null;
+}
+
+// Walk a list of colors, `stepMs` per color, fading for `fadeMs` at each step
+function stepThrough(colors, elapsed, stepMs, fadeMs, offset = 0) {
+  const step = Math.floor(elapsed / stepMs) + offset;
+  const into = elapsed % stepMs;
+  const from = hexToRgb(colors[(step - 1 + colors.length) % colors.length]);
+  const to   = hexToRgb(colors[step % colors.length]);
+  return mix(from, to, Math.min(1, into / fadeMs));
+}
+
+// ─── Engine ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object}   opts
+ * @param {function} opts.output    — (params, bulbIds|null) → void, usually driver.setPilot
+ * @param {number}   [opts.maxRate] — ticks (= max commands per zone) per second
+ */
+function createEffects({ output, maxRate = 10 }) {
+  // zone id → { bulbIds, from (rgb | null), to (look | null), changedAt, last }
+  const channels = new Map();
+  const options = { fadeMs: 400, pulse: true, breathe: true };
+  let ambient = false;
+  let scene = null;   // { name, startedAt }
+  let pulseAt = 0;
+  let paused = false;
+  let timer = null;
+
+  function channel(id, bulbIds = null) {
+    let ch = channels.get(id);
+    if (!ch) {
+      ch = { bulbIds, from: null, to: null, changedAt: 0, last: null };
+      channels.set(id, ch);
+    }
+    return ch;
+  }
+
+  // Where a channel's fade is right now — the starting point for the next fade
+  function fadeColor(ch, now) {
+    const target = ch.to && lookRgb(ch.to);
+    if (!target) return null;
+    if (!ch.from || options.fadeMs <= 0) return target;
+    const t = Math.min(1, (now - ch.changedAt) / options.fadeMs);
+    return mix(ch.from, target, t);
+  }
+
+  function sceneColor(index, count, now) {
+    const elapsed = now - scene.startedAt;
+    switch (scene.name) {
+      case 'rainbow':
+        return hueToRgb(((elapsed / RAINBOW_MS) * 360 + (index * 360) / count) % 360);
+      case 'party':
+        return stepThrough(PARTY_COLORS, elapsed, PARTY_STEP_MS, PARTY_FADE_MS, index * 2);
+      case 'sunset': {
+        const last = SUNSET_COLORS.length - 1;
+        const pos = Math.min(1, elapsed / SUNSET_MS) * last;
+        const i = Math.min(Math.floor(pos), last - 1);
+        return mix(hexToRgb(SUNSET_COLORS[i]), hexToRgb(SUNSET_COLORS[i + 1]), pos - i);
+      }
+      default:
+        return null;
+    }
+  }
+
+  function frame(ch, index, count, now) {
+    if (!scene && !ch.to) return null;
+
+    // White and built-in scenes go to the bulb as-is; only colors are blended
+    const look  = scene ? null : ch.to;
+    let   color = scene ? sceneColor(index, count, now) : look.hex ? fadeColor(ch, now) : null;
+    const base  = look?.brightness ?? BASE_DIMMING;
+
+    let dimming = base;
+    if (ambient && options.breathe && !scene) {
+      const phase = 0.5 + 0.5 * Math.cos((2 * Math.PI * (now % BREATHE_MS)) / BREATHE_MS);
+      dimming = base * (0.4 + 0.6 * phase);
+    }
+
+    const bump = options.pulse ? Math.max(0, 1 - (now - pulseAt) / PULSE_MS) : 0;
+    if (bump > 0) {
+      if (color) color = mix(color, { r: 255, g: 255, b: 255 }, 0.35 * bump);
+      dimming += (100 - dimming) * bump;
+    }
+    dimming = Math.max(10, Math.round(dimming));
+
+    if (color) return { r: Math.round(color.r), g: Math.round(color.g), b: Math.round(color.b), dimming };
+    if (look.temp) return { temp: look.temp, dimming };
+    return { sceneId: look.sceneId, dimming };
+  }
+
+  function sameFrame(a, b) {
+    return Boolean(a && b) && JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function tick() {
+    if (paused) return;
+    const now = Date.now();
+    const count = channels.size;
+    let index = 0;
+    channels.forEach(ch => {
+      const f = frame(ch, index++, count, now);
+      if (!f || sameFrame(f, ch.last)) return;
+      ch.last = f;
+      output(f, ch.bulbIds);
+    });
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────
+
+  /**
+   * Match channels to the current zone list (from zones.js). Channels for
+   * zones that still exist keep their color; new zones start from zone.hex.
+   */
+  function sync(zoneList) {
+    const ids = new Set(zoneList.map(z => z.id));
+    [...channels.keys()].forEach(id => { if (!ids.has(id)) channels.delete(id); });
+    zoneList.forEach(z => {
+      const ch = channel(z.id, z.bulbIds);
+      ch.bulbIds = z.bulbIds;
+      if (!ch.to && z.hex) ch.to = { hex: z.hex };
+    });
+  }
+
+  /** Fade one zone to a new look ({ hex } | { temp } | { sceneId }, + brightness). */
+  function paint(id, look) {
+    const now = Date.now();
+    const ch = channel(id);
+    ch.from = fadeColor(ch, now);
+    ch.to = look;
+    ch.changedAt = now;
+  }
+
+  /** Fade every zone to the same look (host override). */
+  function paintAll(look) {
+    channels.forEach((_, id) => paint(id, look));
+  }
+
+  function pulse() {
+    pulseAt = Date.now();
+  }
+
+  function setAmbient(on) {
+    ambient = Boolean(on);
+  }
+
+  /** @param {string|null} name — one of SCENES, or null to return to zone colors */
+  function setScene(name) {
+    const now = Date.now();
+    if (!name && scene) {
+      // Fade back from wherever the scene left each zone
+      let index = 0;
+      channels.forEach(ch => {
+        ch.from = sceneColor(index++, channels.size, now);
+        ch.changedAt = now;
+      });
+    }
+    scene = name ? { name, startedAt: now } : null;
+  }
+
+  /** @param {{ fadeMs?: number, pulse?: boolean, breathe?: boolean }} next */
+  function setOptions(next) {
+    if (typeof next.fadeMs === 'number') options.fadeMs = Math.max(0, Math.min(5000, next.fadeMs));
+    if (typeof next.pulse === 'boolean') options.pulse = next.pulse;
+    if (typeof next.breathe === 'boolean') options.breathe = next.breathe;
+  }
+
+  /** Stop sending (zone colors keep updating) — e.g. while house lights are up. */
+  function pause() {
+    paused = true;
+  }
+
+  /** Send again, starting with a full frame for every zone. */
+  function resume() {
+    paused = false;
+    channels.forEach(ch => { ch.last = null; });
+  }
+
+  function getState() {
+    return { scene: scene?.name ?? null, ...options };
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, Math.round(1000 / maxRate));
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { sync, paint, paintAll, pulse, setAmbient, setScene, setOptions, pause, resume, getState, start, stop };
+}
+
+module.exports = { createEffects, hexToRgb, rgbToHex, tempToHex, SCENES };
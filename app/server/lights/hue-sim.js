@@ -0,0 +1,156 @@
+/**
+ * hue-sim.js — mock Hue bridge + driver
+ *
+ * A fake bridge that serves the slice of the Hue v1 REST API the hue driver
+ * uses, so the Hue path can be rehearsed (and tested) without a bridge:
+ *
+ *   GET /api/<appKey>/lights
+ *   GET /api/<appKey>/lights/<id>
+ *   PUT /api/<appKey>/lights/<id>/state
+ *
+ * Like a real bridge it answers 200 with [{ error: { type, description } }]
+ * for a wrong app key (type 1) or unknown light (type 3). Every accepted state
+ * change is recorded in `puts` for assertions.
+ *
+ * The hue-sim driver is just the Hue driver aimed at the mock on loopback.
+ *
+ *   LIGHT_DRIVER=hue-sim SIM_BULBS=3 node server/server.js
+ */
+
+'use strict';
+
+const http = require('http');
+const { createHueDriver } = require('./hue');
+
+const SIM_HOST     = '127.0.0.1';
+const SIM_APP_KEY  = 'hue-sim';
+const SIM_MAX_PUTS = 500;
+
+/**
+ * Start a mock bridge with `lights` color bulbs, ids "1".."n".
+ * Set `bridge.lights[id].state.reachable = false` to play a bulb that lost power,
+ * or `bridge.muted = true` to make the whole bridge stop answering. Pass `debug`
+ * to log every state change as it arrives.
+ * @returns {object} bridge — { host, port, appKey, lights, puts, muted, ready, close() }
+ */
+function createMockHueBridge({ host = SIM_HOST, port = 0, appKey = SIM_APP_KEY, lights = 1, debug = false } = {}) {
+  const bridge = {
+    host,
+    port,
+    appKey,
+    lights: {},
+    puts: [], // every accepted state change: { at, id, body }
+    muted: false,
+    ready: null,
+    close() { try { server.close(); } catch (_) {} },
+  };
+
+  for (let i = 1; i <= Math.max(1, lights); i++) {
+    bridge.lights[String(i)] = {
+      name: `Sim light ${i}`,
+      type: 'Extended color light',
+      uniqueid: `00:17:88:01:00:00:00:${String(i).padStart(2, '0')}-0b`,
+      state: { on: true, bri: 254, xy: [0.3227, 0.329], ct: 366, colormode: 'xy', reachable: true },
+    };
+  }
+
+  function send(res, data) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  function error(res, type, address, description) {
+    send(res, [{ error: { type, address, description } }]);
+  }
+
+  function applyState(res, id, raw) {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return error(res, 2, `/lights/${id}/state`, 'body contains invalid json');
+    }
+    const state = bridge.lights[id].state;
+    const result = [];
+    ['on', 'bri', 'xy', 'ct'].forEach(key => {
+      if (!(key in body)) return;
+      state[key] = body[key];
+      result.push({ success: { [`/lights/${id}/state/${key}`]: body[key] } });
+    });
+    if ('xy' in body) state.colormode = 'xy';
+    else if ('ct' in body) state.colormode = 'ct';
+
+    bridge.puts.push({ at: Date.now(), id, body });
+    if (bridge.puts.length > SIM_MAX_PUTS) bridge.puts.shift();
+    if (debug) console.log(`[hue-sim] light ${id} ← ${JSON.stringify(body)}`);
+    send(res, result);
+  }
+
+  const server = http.createServer((req, res) => {
+    if (bridge.muted) return; // leave the request hanging, like a bridge that fell off the network
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const [, api, key, resource, id, sub] = req.url.split('/');
+      if (api !== 'api') return error(res, 3, req.url, `resource, ${req.url}, not available`);
+      if (key !== appKey) return error(res, 1, '/', 'unauthorized user');
+      if (resource !== 'lights') return error(res, 3, `/${resource}`, `resource, /${resource}, not available`);
+
+      if (!id && req.method === 'GET') return send(res, bridge.lights);
+      if (!bridge.lights[id]) return error(res, 3, `/lights/${id}`, `resource, /lights/${id}, not available`);
+      if (!sub && req.method === 'GET') return send(res, bridge.lights[id]);
+      if (sub === 'state' && req.method === 'PUT') return applyState(res, id, raw);
+      error(res, 4, req.url, `method, ${req.method}, not available for resource, ${req.url}`);
+    });
+  });
+
+  bridge.ready = new Promise((resolve) => {
+    server.on('error', (err) => {
+      console.error(`[hue-sim] Bridge ${host}:${port} error:`, err.message);
+      resolve();
+    });
+    server.listen(port, host, () => {
+      bridge.port = server.address().port;
+      console.log(`[hue-sim] Mock Hue bridge listening on ${host}:${bridge.port} (${Object.keys(bridge.lights).length} light(s))`);
+      resolve();
+    });
+  });
+
+  return bridge;
+}
+
+/**
+ * Hue driver wired to a mock bridge on loopback.
+ * @param {object} opts
+ * @param {number} [opts.huePort]  — TCP port for the mock bridge (default: any free port)
+ * @param {number} [opts.simBulbs] — how many lights the bridge has (default 1)
+ * @param {boolean} [opts.debug]  — log every state change sent and received (LIGHTS_DEBUG=1)
+ */
+function createHueSimDriver({ huePort = 0, simBulbs = 1, debug = false } = {}) {
+  const bridge = createMockHueBridge({ port: huePort, lights: simBulbs, debug });
+  let hue = null;
+
+  // The bridge's port is only known once it's listening, so the real driver is
+  // created on first discover; until then there's nothing to send to anyway.
+  const ready = bridge.ready.then(() => {
+    hue = createHueDriver({ bridge: `${SIM_HOST}:${bridge.port}`, appKey: SIM_APP_KEY, debug });
+  });
+
+  return {
+    name: 'hue-sim',
+    scenes: false,
+    bridge,
+    get puts() { return bridge.puts; },
+    setPilot: (params, ids) => hue?.setPilot(params, ids),
+    poll: () => hue?.poll(),
+    bulbs: () => hue?.bulbs() ?? [],
+    discover: () => ready.then(() => hue.discover()),
+    close() {
+      hue?.close();
+      bridge.close();
+    },
+  };
+}
+
+module.exports = { createMockHueBridge, createHueSimDriver };
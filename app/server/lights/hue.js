@@ -0,0 +1,270 @@
+/**
+ * hue.js — Philips Hue bridge driver
+ *
+ * Talks to a Hue bridge's local REST API (v1), no cloud:
+ *   GET /api/<appKey>/lights                 — discovery + polling
+ *   PUT /api/<appKey>/lights/<id>/state      — { on, xy, bri } or { on, ct, bri }
+ *
+ *   LIGHT_DRIVER=hue HUE_BRIDGE=192.168.1.20 HUE_APP_KEY=<key> node server/server.js
+ *
+ * Get an app key by pressing the bridge's link button, then within 30 s:
+ *   curl -X POST http://<bridge>/api -d '{"devicetype":"light-room#server"}'
+ *
+ * The rest of the server speaks WiZ setPilot vocabulary (see wiz.js); this
+ * driver translates: r/g/b → CIE xy, temp (kelvin) → ct (mireds), dimming
+ * (10–100) → bri (1–254). WiZ built-in scenes have no Hue equivalent and are
+ * skipped. Registry ids are the bridge's light ids ("1", "2", …), so
+ * LIGHT_ZONES works the same way: LIGHT_ZONES="front=1,2;back=3".
+ *
+ * The bridge only handles ~10 commands a second, so each light has at most
+ * one request in flight; a newer state waiting behind it replaces any older
+ * one (latest wins) instead of queueing up a backlog of stale fades.
+ */
+
+'use strict';
+
+const REQUEST_TIMEOUT_MS = 1500;
+const MISSES_BEFORE_DOWN = 3;
+
+// Hue ct range, in mireds (1e6 / kelvin): 153 ≈ 6500 K, 500 = 2000 K
+const CT_MIN = 153;
+const CT_MAX = 500;
+
+// ─── Color conversion ──────────────────────────────────────────────────────
+// sRGB ↔ CIE xy, per Philips' "RGB to xy color conversion" notes. The bridge
+// clamps xy into each bulb's gamut itself.
+
+function gammaExpand(v) {
+  v /= 255;
+  return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+}
+
+function gammaCompress(v) {
+  return v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+function rgbToXy(r, g, b) {
+  const [R, G, B] = [r, g, b].map(gammaExpand);
+  const X = R * 0.664511 + G * 0.154324 + B * 0.162028;
+  const Y = R * 0.283881 + G * 0.668433 + B * 0.047685;
+  const Z = R * 0.000088 + G * 0.072310 + B * 0.986039;
+  const sum = X + Y + Z;
+  if (sum === 0) return [0.3227, 0.329]; // black has no chromaticity — use white
+  return [Number((X / sum).toFixed(4)), Number((Y / sum).toFixed(4))];
+}
+
+function xyToRgb([x, y]) {
+  const Y = 1;
+  const X = (Y / y) * x;
+  const Z = (Y / y) * (1 - x - y);
+  let rgb = [
+    X * 1.656492 - Y * 0.354851 - Z * 0.255038,
+    -X * 0.707196 + Y * 1.655397 + Z * 0.036152,
+    X * 0.051713 - Y * 0.121364 + Z * 1.011530,
+  ].map(v => Math.max(0, v));
+  const max = Math.max(...rgb, 1e-9);
+  rgb = rgb.map(v => Math.round(gammaCompress(v / max) * 255));
+  return { r: rgb[0], g: rgb[1], b: rgb[2] };
+}
+
+/** WiZ setPilot params → Hue light state body, or null if there's nothing Hue can do with it. */
+function pilotToHueState(params) {
+  if (params.state === false) return { on: false };
+  const body = { on: true };
+  if (params.dimming !== undefined) body.bri = Math.max(1, Math.round((params.dimming / 100) * 254));
+
+  if (params.temp) {
+    body.ct = Math.max(CT_MIN, Math.min(CT_MAX, Math.round(1e6 / params.temp)));
+  } else if (params.r !== undefined) {
+    if (params.r === 0 && params.g === 0 && params.b === 0) return { on: false };
+    body.xy = rgbToXy(params.r, params.g, params.b);
+  } else {
+    return null; // WiZ scene — no Hue equivalent
+  }
+  return body;
+}
+
+/** Hue light state → pilot in getPilot shape, so snapshot/restore and the health panel work unchanged. */
+function hueStateToPilot(state) {
+  const pilot = { state: state.on, dimming: Math.max(10, Math.round(((state.bri ?? 254) / 254) * 100)) };
+  if (state.colormode === 'ct' && state.ct) pilot.temp = Math.round(1e6 / state.ct);
+  else if (state.xy) Object.assign(pilot, xyToRgb(state.xy));
+  return pilot;
+}
+
+// ─── Driver ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} opts
+ * @param {string} opts.bridge — bridge address, "192.168.1.20" or "host:port"
+ * @param {string} opts.appKey — bridge username / application key
+ * @param {boolean} [opts.debug] — log every setPilot sent (LIGHTS_DEBUG=1)
+ */
+function createHueDriver({ bridge, appKey, debug = false }) {
+  if (!bridge || !appKey) {
+    throw new Error('LIGHT_DRIVER=hue needs HUE_BRIDGE (bridge IP) and HUE_APP_KEY (see lights/hue.js)');
+  }
+  const base = `http://${bridge}/api/${encodeURIComponent(appKey)}`;
+  let warnedScene = false;
+  let warnedAuth = false;
+
+  // id → { id, ip, port, mac, name, configured, lastAckAt, reachable, sent, acked, failures, missed,
+  //        scansMissed, latencyMs, pilot, inFlight, next }
+  const registry = new Map();
+
+  function register(id, light) {
+    let bulb = registry.get(id);
+    if (!bulb) {
+      bulb = {
+        id, ip: bridge, port: null, mac: light.uniqueid ?? null, name: light.name ?? `Hue ${id}`,
+        configured: false, lastAckAt: null, reachable: false,
+        sent: 0, acked: 0, failures: 0, missed: 0, scansMissed: 0, latencyMs: null, pilot: null,
+        inFlight: false, next: null,
+      };
+      registry.set(id, bulb);
+    }
+    return bulb;
+  }
+
+  // Fetch with a timeout; resolves to parsed JSON or rejects
+  async function request(method, path, body) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const res = await fetch(`${base}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: ctrl.signal,
+      });
+      const data = await res.json();
+      // The bridge answers errors with 200 + [{ error: { type, description } }]
+      const err = Array.isArray(data) && data.find(d => d.error)?.error;
+      if (err) {
+        if (err.type === 1 && !warnedAuth) {
+          console.error('[hue] Bridge rejected HUE_APP_KEY (unauthorized user) — create a new key, see lights/hue.js');
+          warnedAuth = true;
+        }
+        throw new Error(err.description);
+      }
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function markMissed(bulb, err) {
+    bulb.failures++;
+    bulb.missed++;
+    if (bulb.reachable && bulb.missed >= MISSES_BEFORE_DOWN) {
+      bulb.reachable = false;
+      console.warn(`[hue] Light ${bulb.id} stopped answering (${err.message})`);
+    }
+  }
+
+  function markAcked(bulb, sentAt, reachable = true) {
+    const now = Date.now();
+    if (!bulb.reachable && reachable && bulb.lastAckAt) console.log(`[hue] Light ${bulb.id} is back`);
+    bulb.acked++;
+    bulb.latencyMs = now - sentAt;
+    bulb.lastAckAt = now;
+    bulb.reachable = reachable;
+    bulb.missed = 0;
+  }
+
+  // Latest-wins: while a PUT is in flight, park the newest state in bulb.next
+  function putState(bulb, body) {
+    if (bulb.inFlight) {
+      bulb.next = body;
+      return;
+    }
+    bulb.inFlight = true;
+    bulb.sent++;
+    const sentAt = Date.now();
+    request('PUT', `/lights/${bulb.id}/state`, body)
+      // The bridge accepted it; whether the bulb itself is powered comes from the next poll
+      .then(() => markAcked(bulb, sentAt, bulb.reachable))
+      .catch(err => markMissed(bulb, err))
+      .finally(() => {
+        bulb.inFlight = false;
+        const next = bulb.next;
+        bulb.next = null;
+        if (next && registry.has(bulb.id)) putState(bulb, next);
+      });
+  }
+
+  /**
+   * @param {object}        params — WiZ setPilot params (see wiz.js)
+   * @param {string[]|null} [ids]  — Hue light ids; null = every light on the bridge
+   */
+  function setPilot(params, ids = null) {
+    const body = pilotToHueState(params);
+    if (!body) {
+      if (!warnedScene) {
+        console.warn('[hue] WiZ scenes have no Hue equivalent — ignoring sceneId');
+        warnedScene = true;
+      }
+      return;
+    }
+    const targets = ids ? ids.map(id => registry.get(id)).filter(Boolean) : [...registry.values()];
+    targets.forEach(bulb => putState(bulb, body));
+    if (debug) console.log(`[hue] setPilot → ${targets.map(b => b.id).join(', ') || '(no matching lights)'} ${JSON.stringify(body)}`);
+  }
+
+  // One GET answers for every light: state, plus the bridge's own reachable flag
+  async function fetchLights() {
+    const sentAt = Date.now();
+    registry.forEach(bulb => { bulb.sent++; });
+    let lights;
+    try {
+      lights = await request('GET', '/lights');
+    } catch (err) {
+      registry.forEach(bulb => markMissed(bulb, err));
+      throw err;
+    }
+    Object.entries(lights).forEach(([id, light]) => {
+      const known = registry.has(id);
+      const bulb = register(id, light);
+      if (!known) bulb.sent++;
+      bulb.name = light.name ?? bulb.name;
+      bulb.pilot = hueStateToPilot(light.state ?? {});
+      markAcked(bulb, sentAt, light.state?.reachable !== false);
+    });
+    return lights;
+  }
+
+  function poll() {
+    fetchLights().catch(() => {}); // already counted against every light
+  }
+
+  /** The bridge knows every light it has — lights it no longer lists are dropped. */
+  async function discover() {
+    try {
+      const lights = await fetchLights();
+      const ids = Object.keys(lights);
+      [...registry.keys()].forEach(id => {
+        if (!lights[id]) {
+          registry.delete(id);
+          console.warn(`[hue] Light ${id} was removed from the bridge`);
+        }
+      });
+      console.log(`[hue] Bridge ${bridge} has ${ids.length} light(s)`);
+      return ids;
+    } catch (err) {
+      console.error(`[hue] Couldn't list lights on bridge ${bridge}:`, err.message);
+      return [];
+    }
+  }
+
+  function bulbs() {
+    return [...registry.values()].map(({ inFlight, next, ...b }) => ({ ...b, pilot: b.pilot && { ...b.pilot } }));
+  }
+
+  function close() {
+    registry.forEach(bulb => { bulb.next = null; });
+  }
+
+  return { name: 'hue', scenes: false, setPilot, poll, discover, bulbs, close };
+}
+
+module.exports = { createHueDriver, rgbToXy, xyToRgb, pilotToHueState };
@@ -0,0 +1,121 @@
+/**
+ * lights/index.js — light driver registry
+ *
+ * Every color the server wants on the bulbs goes through a driver with one shape:
+ *
+ *   driver.name                  — 'wiz' | 'hue' | 'artnet' | 'console' | 'sim' | 'hue-sim' | 'none'
+ *   driver.setPilot(params, ids?) — params in WiZ setPilot vocabulary: { r, g, b } | { temp } |
+ *                                  { sceneId }, each with optional dimming (see wiz.js);
+ *                                  ids limits it to those bulbs (see zones.js), default every bulb
+ *   driver.poll()                — ask every bulb for its state; replies feed the health stats
+ *   driver.discover() → Promise<string[]>  — ids of bulbs found (may be []); new bulbs join the
+ *                                  registry, long-gone discovered ones leave it
+ *   driver.bulbs()               — registry snapshot: [{ id, ip, port, mac, configured, lastAckAt,
+ *                                  reachable, sent, acked, failures, scansMissed, latencyMs, pilot,
+ *                                  oneWay? }] — oneWay: output only, nothing ever acks (Art-Net)
+ *   driver.close()
+ *   driver.scenes                — false if the driver can't play WiZ built-in scenes (sceneId)
+ *
+ * Pick one with LIGHT_DRIVER:
+ *   wiz     — real WiZ bulbs over LAN UDP (default)
+ *   hue     — Philips Hue bulbs through a bridge's local REST API (see hue.js)
+ *   artnet  — DMX fixtures over Art-Net UDP (see artnet.js)
+ *   console — no hardware, just logs what would be sent
+ *   sim     — simulated bulb(s) on 127.0.0.1 that record every pilot
+ *   hue-sim — mock Hue bridge on 127.0.0.1 that records every state change
+ *   none    — no bulbs at all, silently (rooms opened without lights, see room.js)
+ *
+ * Drivers other than wiz translate the WiZ vocabulary into their own.
+ *
+ * A comma list runs several at once, e.g. LIGHT_DRIVER=wiz,artnet: every
+ * command goes to each driver, and bulb ids from all of them share one
+ * registry (so zones can mix WiZ bulbs and DMX fixtures).
+ */
+
+'use strict';
+
+const { createWizDriver, describePilot } = require('./wiz');
+const { createSimDriver } = require('./sim');
+const { createHueDriver } = require('./hue');
+const { createHueSimDriver } = require('./hue-sim');
+const { createArtNetDriver } = require('./artnet');
+
+function createConsoleDriver() {
+  return {
+    name: 'console',
+    setPilot(params, ids = null) {
+      console.log(`[lights] setPilot ${describePilot(params)} → ${ids ? ids.join(', ') : 'all'}`);
+    },
+    poll() {},
+    discover: () => Promise.resolve([]),
+    bulbs: () => [],
+    close() {},
+  };
+}
+
+function createNoneDriver() {
+  return {
+    name: 'none',
+    setPilot() {},
+    poll() {},
+    discover: () => Promise.resolve([]),
+    bulbs: () => [],
+    close() {},
+  };
+}
+
+const DRIVERS = {
+  wiz:       createWizDriver,
+  hue:       createHueDriver,
+  artnet:    createArtNetDriver,
+  console:   createConsoleDriver,
+  sim:       createSimDriver,
+  'hue-sim': createHueSimDriver,
+  none:      createNoneDriver,
+};
+
+// Fan one driver interface out over several. A command with ids only goes to
+// the drivers that own one of those ids.
+function combineDrivers(drivers) {
+  const owned = (driver, ids) => {
+    const mine = new Set(driver.bulbs().map(b => b.id));
+    return ids.filter(id => mine.has(id));
+  };
+
+  return {
+    name: drivers.map(d => d.name).join('+'),
+    drivers,
+    scenes: drivers.some(d => d.scenes !== false), // each driver skips what it can't play
+    setPilot(params, ids = null) {
+      drivers.forEach(d => {
+        if (!ids) return d.setPilot(params);
+        const mine = owned(d, ids);
+        if (mine.length) d.setPilot(params, mine);
+      });
+    },
+    poll() {
+      drivers.forEach(d => d.poll());
+    },
+    discover: () => Promise.all(drivers.map(d => d.discover())).then(found => found.flat()),
+    bulbs: () => drivers.flatMap(d => d.bulbs()),
+    close() {
+      drivers.forEach(d => d.close());
+    },
+  };
+}
+
+/**
+ * @param {string} name — key of DRIVERS, or several joined with commas
+ * @param {object} opts — passed through to every driver factory
+ */
+function createLightDriver(name, opts = {}) {
+  const names = name.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = names.find(n => !DRIVERS[n]);
+  if (unknown || names.length === 0) {
+    throw new Error(`Unknown LIGHT_DRIVER "${unknown ?? name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  const drivers = names.map(n => DRIVERS[n](opts));
+  return drivers.length === 1 ? drivers[0] : combineDrivers(drivers);
+}
+
+module.exports = { createLightDriver };
@@ -0,0 +1,141 @@
+/**
+ * sim.js — simulated WiZ bulb + driver
+ *
+ * A fake bulb that speaks the same UDP protocol as the real thing, so the whole
+ * color flow (join → color → setPilot) can be rehearsed without bulbs on the LAN.
+ * It answers getSystemConfig / getPilot / setPilot like a WiZ bulb and records
+ * every pilot it receives in `pilots` for assertions.
+ *
+ * The sim driver is just the WiZ driver aimed at loopback bulbs — the packets
+ * on the wire are identical to what the real bulbs would get.
+ *
+ *   LIGHT_DRIVER=sim SIM_BULBS=3 node server/server.js
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const { createWizDriver, WIZ_PORT } = require('./wiz');
+
+const SIM_HOST       = '127.0.0.1';
+const SIM_MAX_PILOTS = 500; // cap the recording so a long rehearsal doesn't grow unbounded
+
+/**
+ * Start a simulated bulb listening on host:port.
+ * Set `bulb.muted = true` to make it go silent (drops every packet) — handy for
+ * checking that the host's bulb health panel notices a dead bulb.
+ * Pass `debug` to log every pilot as it arrives.
+ * @returns {object} bulb — { host, port, mac, pilot, pilots, muted, ready, close() }
+ */
+function createSimBulb({ host = SIM_HOST, port = WIZ_PORT, mac = 'a8bb50000001', debug = false } = {}) {
+  const sock = dgram.createSocket('udp4');
+
+  const bulb = {
+    host,
+    port,
+    mac,
+    // Current state, in the shape getPilot returns
+    pilot: { state: true, sceneId: 0, r: 255, g: 255, b: 255, dimming: 100 },
+    pilots: [], // every setPilot received: { at, params }
+    muted: false,
+    ready: null,
+    close() { try { sock.close(); } catch (_) {} },
+  };
+
+  function reply(rinfo, method, result) {
+    const buf = Buffer.from(JSON.stringify({ method, env: 'pro', result }));
+    sock.send(buf, 0, buf.length, rinfo.port, rinfo.address);
+  }
+
+  sock.on('message', (raw, rinfo) => {
+    if (bulb.muted) return;
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return; // Real bulbs ignore garbage too
+    }
+
+    switch (msg.method) {
+      case 'getSystemConfig':
+        reply(rinfo, msg.method, { mac, homeId: 0, roomId: 0, fwVersion: 'sim' });
+        break;
+
+      case 'getPilot':
+        reply(rinfo, msg.method, { mac, rssi: -40, ...bulb.pilot });
+        break;
+
+      case 'setPilot': {
+        const params = msg.params && typeof msg.params === 'object' ? msg.params : {};
+        // A bulb is in exactly one of color / white / scene — drop the other kinds' keys
+        if ('r' in params || 'temp' in params || 'sceneId' in params) {
+          ['r', 'g', 'b', 'temp', 'sceneId'].forEach(k => delete bulb.pilot[k]);
+          bulb.pilot.state = true; // setting a color turns a real bulb on too
+        }
+        Object.assign(bulb.pilot, params);
+        bulb.pilots.push({ at: Date.now(), params });
+        if (bulb.pilots.length > SIM_MAX_PILOTS) bulb.pilots.shift();
+        if (debug) console.log(`[sim] ${host}:${port} ← setPilot ${JSON.stringify(params)}`);
+        reply(rinfo, msg.method, { success: true });
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  bulb.ready = new Promise((resolve) => {
+    sock.on('error', (err) => {
+      console.error(`[sim] Bulb ${host}:${port} error:`, err.message);
+      try { sock.close(); } catch (_) {}
+      resolve();
+    });
+    sock.bind(port, host, () => {
+      console.log(`[sim] Simulated bulb listening on ${host}:${port}`);
+      resolve();
+    });
+  });
+
+  return bulb;
+}
+
+/**
+ * WiZ driver wired to one or more simulated bulbs on loopback.
+ * Bulb i listens on simPort + i, so several can share 127.0.0.1.
+ * @param {object} opts
+ * @param {number} [opts.simPort]  — UDP port for the first simulated bulb (default 38899)
+ * @param {number} [opts.simBulbs] — how many simulated bulbs to start (default 1)
+ * @param {boolean} [opts.debug]  — log every pilot sent and received (LIGHTS_DEBUG=1)
+ */
+function createSimDriver({ simPort = WIZ_PORT, simBulbs = 1, debug = false } = {}) {
+  const count = Math.max(1, simBulbs);
+  const ports = Array.from({ length: count }, (_, i) => simPort + i);
+  const bulbs = ports.map((port, i) =>
+    createSimBulb({ port, mac: `a8bb5000${String(i + 1).padStart(4, '0')}`, debug })
+  );
+  const wiz = createWizDriver({ broadcast: SIM_HOST, ips: [SIM_HOST], port: simPort, ports, debug });
+
+  return {
+    name: 'sim',
+    simBulbs: bulbs,
+    // Every pilot any simulated bulb received, oldest first
+    get pilots() {
+      return bulbs
+        .flatMap(b => b.pilots.map(p => ({ bulb: `${b.host}:${b.port}`, ...p })))
+        .sort((a, b) => a.at - b.at);
+    },
+    setPilot: wiz.setPilot,
+    poll: wiz.poll,
+    bulbs: wiz.bulbs,
+    // Wait for the bulbs to bind before probing them, otherwise the first
+    // discovery packet races the sockets and finds nothing.
+    discover: () => Promise.all(bulbs.map(b => b.ready)).then(() => wiz.discover()),
+    close() {
+      wiz.close();
+      bulbs.forEach(b => b.close());
+    },
+  };
+}
+
+module.exports = { createSimBulb, createSimDriver };
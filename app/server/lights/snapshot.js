@@ -0,0 +1,85 @@
+/**
+ * snapshot.js — remember how the bulbs looked before the talk
+ *
+ * At startup we ask every bulb for its state (getPilot) and keep the first
+ * answer per bulb. restore() sends those states back — on shutdown, so the
+ * room isn't left whatever color the last student picked, and for the host's
+ * "house lights" toggle between segments.
+ *
+ * Bulbs that turn up later (rediscovered, replugged) are captured the first
+ * time capture() sees them; a bulb's saved state is never overwritten.
+ *
+ * The saved states go into the session log (see room.js), and a talk resumed
+ * after a restart starts from them — by then the bulbs show the talk, not the
+ * room as it was.
+ */
+
+'use strict';
+
+const CAPTURE_WAIT_MS = 1500; // same order as the driver's ack timeout
+
+// getPilot result → setPilot params. A bulb is off, in a scene, white, or a color.
+function pilotToParams(pilot) {
+  if (!pilot) return null;
+  if (pilot.state === false) return { state: false };
+  const dimming = pilot.dimming ?? undefined;
+  if (pilot.sceneId) return { sceneId: pilot.sceneId, dimming };
+  if (pilot.temp) return { temp: pilot.temp, dimming };
+  if (pilot.r !== undefined) return { r: pilot.r, g: pilot.g, b: pilot.b, dimming };
+  return null;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.lights  — light driver (see lights/index.js)
+ * @param {object} [opts.saved] — bulb id → setPilot params, from an earlier run of this talk
+ */
+function createSnapshot({ lights, saved: resumed = {} }) {
+  const saved = new Map(Object.entries(resumed)); // bulb id → setPilot params
+
+  /**
+   * Poll every bulb and save the state of any we haven't saved yet.
+   * @returns {Promise<number>} how many bulbs were newly saved
+   */
+  function capture() {
+    lights.poll();
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        let added = 0;
+        lights.bulbs().forEach(b => {
+          const params = pilotToParams(b.pilot);
+          if (params && !saved.has(b.id)) {
+            saved.set(b.id, params);
+            added++;
+          }
+        });
+        resolve(added);
+      }, CAPTURE_WAIT_MS);
+    });
+  }
+
+  /** Put every saved bulb that's still around back how we found it. @returns {number} bulbs restored */
+  function restore() {
+    const present = new Set(lights.bulbs().map(b => b.id));
+    let restored = 0;
+    saved.forEach((params, id) => {
+      if (!present.has(id)) return;
+      lights.setPilot(params, [id]);
+      restored++;
+    });
+    return restored;
+  }
+
+  function size() {
+    return saved.size;
+  }
+
+  /** @returns {object} bulb id → setPilot params, for the session log */
+  function toJSON() {
+    return Object.fromEntries(saved);
+  }
+
+  return { capture, restore, size, toJSON };
+}
+
+module.exports = { createSnapshot };
@@ -0,0 +1,144 @@
+/**
+ * spotlight.js — turn-based exclusive control of the lights
+ *
+ * In the 'spotlight' color mode every joined student is queued, and only the
+ * student at the front (the holder) may change the lights — for turnMs, then
+ * they go to the back of the line. The host can skip the holder or pin a
+ * student, which keeps them in the spotlight until unpinned.
+ *
+ * Queue order is join order; a student who leaves drops out, one who
+ * (re)joins goes to the back.
+ */
+
+'use strict';
+
+const TICK_MS = 250;
+
+/**
+ * @param {object}   opts
+ * @param {number}   opts.turnMs   — how long each student holds the lights
+ * @param {function} opts.onChange — (state, newHolder|null) → void; newHolder set when the holder changed
+ */
+function createSpotlight({ turnMs, onChange }) {
+  let active = false;
+  let queue = [];      // student keys (sids), queue[0] is the holder
+  let endsAt = 0;
+  let pinned = false;
+  let timer = null;
+
+  function holder() {
+    return active ? queue[0] ?? null : null;
+  }
+
+  function changed(prevHolder) {
+    const now = holder();
+    onChange(getState(), now !== prevHolder ? now : null);
+  }
+
+  // Move the holder to the back and hand the lights to the next in line
+  function rotate() {
+    if (queue.length > 1) queue.push(queue.shift());
+    endsAt = Date.now() + turnMs;
+  }
+
+  function tick() {
+    if (!active || pinned || queue.length === 0 || Date.now() < endsAt) return;
+    const prev = holder();
+    rotate();
+    changed(prev);
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────
+
+  /**
+   * @param {boolean}  on
+   * @param {string[]} [keys] — students present right now (their sids), seeded in this order
+   */
+  function setActive(on, keys = []) {
+    const prev = holder();
+    active = on;
+    pinned = false;
+    queue = on ? [...new Set(keys)] : [];
+    endsAt = Date.now() + turnMs;
+    changed(prev);
+  }
+
+  function add(key) {
+    if (!active || queue.includes(key)) return;
+    const prev = holder();
+    queue.push(key);
+    // First student in an empty room gets a full turn from now
+    if (queue.length === 1) endsAt = Date.now() + turnMs;
+    changed(prev);
+  }
+
+  function remove(key) {
+    const i = queue.indexOf(key);
+    if (!active || i === -1) return;
+    const prev = holder();
+    queue.splice(i, 1);
+    if (i === 0) {
+      pinned = false;
+      endsAt = Date.now() + turnMs;
+    }
+    changed(prev);
+  }
+
+  function holds(key) {
+    return holder() === key;
+  }
+
+  /** Host: end the current turn now. */
+  function skip() {
+    if (!active || queue.length === 0) return;
+    const prev = holder();
+    pinned = false;
+    rotate();
+    changed(prev);
+  }
+
+  /**
+   * Host: put `key` in the spotlight until unpinned; null unpins and starts
+   * a fresh turn for whoever holds it.
+   */
+  function pin(key) {
+    if (!active) return;
+    const prev = holder();
+    if (key) {
+      const i = queue.indexOf(key);
+      if (i === -1) return;
+      queue.splice(i, 1);
+      queue.unshift(key);
+      pinned = true;
+    } else {
+      pinned = false;
+      endsAt = Date.now() + turnMs;
+    }
+    changed(prev);
+  }
+
+  /** Plain snapshot for the 'spotlight' broadcast — remainingMs, not a clock time, so phone clocks don't matter. */
+  function getState() {
+    return {
+      active,
+      holder: holder(),
+      queue: [...queue],
+      pinned,
+      turnMs,
+      remainingMs: active && !pinned ? Math.max(0, endsAt - Date.now()) : null,
+    };
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, TICK_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { setActive, add, remove, holds, skip, pin, getState, start, stop };
+}
+
+module.exports = { createSpotlight };
@@ -0,0 +1,299 @@
+/**
+ * wiz.js — WiZ bulb driver
+ *
+ * WiZ uses a local UDP API: JSON commands to port 38899, no cloud needed.
+ *   { "method": "setPilot", "params": { "r": 255, "g": 110, "b": 180, "dimming": 90 } }
+ * A pilot is one of three kinds, each with an optional dimming (10–100):
+ *   color   { r, g, b }
+ *   white   { temp }      — color temperature in kelvin, WIZ_TEMP_MIN..WIZ_TEMP_MAX
+ *   scene   { sceneId }   — one of the bulb's built-in WIZ_SCENES
+ *
+ * Single persistent UDP socket — avoids creating/destroying a socket on every
+ * color change, which can cause file-descriptor exhaustion under rapid tapping.
+ *
+ * Bulb registry: commands are unicast to every known bulb rather than broadcast,
+ * so a wrong WIZ_BROADCAST can't silently drop everything. Bulbs get into the
+ * registry from WIZ_IPS and from discovery; any reply from a bulb (discovery
+ * answer or setPilot ack) refreshes its MAC / lastAckAt / reachable flag.
+ * Broadcast is only used as a fallback while the registry is still empty.
+ *
+ * Health: bulbs answer every command with a result packet. We match replies to
+ * the command that caused them to track latency, acks and failures per bulb;
+ * a bulb that misses MISSES_BEFORE_DOWN replies in a row is marked unreachable.
+ * poll() sends getPilot to every bulb so a dead one shows up even when nobody
+ * is tapping colors.
+ *
+ * Auto-discovery: broadcast getSystemConfig (same as test.py) and collect the
+ * IPs of every bulb that answers with a MAC address. The server re-runs it
+ * periodically: new bulbs are merged into the registry, and a discovered bulb
+ * that has stopped answering and missed SCANS_BEFORE_FORGET scans in a row is
+ * dropped. Bulbs from WIZ_IPS are never dropped — they just show as down.
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+
+const WIZ_PORT = 38899;
+
+const WIZ_TEMP_MIN = 2200;
+const WIZ_TEMP_MAX = 6500;
+
+// Built-in scenes every WiZ color bulb ships with (id → name, as in the WiZ app)
+const WIZ_SCENES = {
+  1: 'Ocean', 2: 'Romance', 3: 'Sunset', 4: 'Party', 5: 'Fireplace', 6: 'Cozy',
+  7: 'Forest', 8: 'Pastel colors', 9: 'Wake up', 10: 'Bedtime', 11: 'Warm white',
+  12: 'Daylight', 13: 'Cool white', 14: 'Night light', 15: 'Focus', 16: 'Relax',
+  17: 'True colors', 18: 'TV time', 19: 'Plant growth', 20: 'Spring', 21: 'Summer',
+  22: 'Fall', 23: 'Deep dive', 24: 'Jungle', 25: 'Mojito', 26: 'Club',
+  27: 'Christmas', 28: 'Halloween', 29: 'Candlelight', 30: 'Golden white',
+  31: 'Pulse', 32: 'Steampunk',
+};
+
+const ACK_TIMEOUT_MS     = 1500; // a reply slower than this counts as a miss
+const MISSES_BEFORE_DOWN = 3;    // UDP drops the odd packet — don't flap on one loss
+const SCANS_BEFORE_FORGET = 3;   // discovery rounds a dead, discovered bulb survives
+
+// Registry key — real bulbs all share port 38899, so the IP alone is enough;
+// only simulated bulbs (several on one loopback IP) need the port spelled out.
+function bulbId(ip, port) {
+  return port === WIZ_PORT ? ip : `${ip}:${port}`;
+}
+
+// Short human form of a pilot for logs: "r255 g0 b0 90%", "2700K 60%", "scene 11", "off"
+function describePilot(params) {
+  if (params.state === false) return 'off';
+  const what = params.sceneId ? `scene ${params.sceneId}`
+    : params.temp ? `${params.temp}K`
+    : `r${params.r} g${params.g} b${params.b}`;
+  return params.dimming ? `${what} ${params.dimming}%` : what;
+}
+
+/**
+ * @param {object} opts
+ * @param {string}   opts.broadcast — address for discovery (and fallback sends)
+ * @param {string[]} [opts.ips]     — known bulb IPs (WIZ_IPS), unicast targets from the start
+ * @param {number}   [opts.port]    — bulb UDP port (only the simulator changes this)
+ * @param {number[]} [opts.ports]   — extra ports to register on each IP (simulator only)
+ * @param {boolean}  [opts.debug]   — log every setPilot sent (LIGHTS_DEBUG=1)
+ */
+function createWizDriver({ broadcast, ips = [], port = WIZ_PORT, ports = [port], debug = false }) {
+  let socket = null;
+  let warnedBroadcast = false;
+
+  // id → { id, ip, port, mac, configured, lastAckAt, reachable, sent, acked, failures, missed,
+  //        scansMissed, latencyMs, pilot }
+  const registry = new Map();
+  // `${id}|${method}` → { sentAt, timer } — last unanswered command per bulb and method
+  const pending = new Map();
+
+  function register(ip, bulbPort = port, mac = null) {
+    const id = bulbId(ip, bulbPort);
+    let bulb = registry.get(id);
+    if (!bulb) {
+      bulb = {
+        id, ip, port: bulbPort, mac: null, configured: false, lastAckAt: null, reachable: false,
+        sent: 0, acked: 0, failures: 0, missed: 0, scansMissed: 0, latencyMs: null, pilot: null,
+      };
+      registry.set(id, bulb);
+    }
+    if (mac) bulb.mac = mac;
+    return bulb;
+  }
+
+  ips.forEach(ip => ports.forEach(p => { register(ip, p).configured = true; }));
+
+  function forget(bulb) {
+    ['setPilot', 'getPilot'].forEach(method => {
+      const key = `${bulb.id}|${method}`;
+      clearTimeout(pending.get(key)?.timer);
+      pending.delete(key);
+    });
+    registry.delete(bulb.id);
+    console.warn(`[wiz] Forgetting bulb ${bulb.id} — not seen in ${bulb.scansMissed} scans`);
+  }
+
+  // After a discovery round: reset the scan-miss count of every bulb that
+  // answered, and drop discovered bulbs that are gone for good
+  function reconcile(found) {
+    [...registry.values()].forEach(bulb => {
+      if (found.has(bulb.id)) {
+        bulb.scansMissed = 0;
+        return;
+      }
+      bulb.scansMissed++;
+      if (!bulb.configured && !bulb.reachable && bulb.scansMissed >= SCANS_BEFORE_FORGET) forget(bulb);
+    });
+  }
+
+  function markMissed(bulb) {
+    bulb.failures++;
+    bulb.missed++;
+    if (bulb.reachable && bulb.missed >= MISSES_BEFORE_DOWN) {
+      bulb.reachable = false;
+      console.warn(`[wiz] Bulb ${bulb.id} stopped answering (${bulb.missed} missed replies)`);
+    }
+  }
+
+  // Any well-formed result packet from a bulb counts as proof of life
+  function handleReply(raw, rinfo) {
+    let resp;
+    try {
+      resp = JSON.parse(raw.toString());
+    } catch {
+      return null;
+    }
+    if (!resp || !resp.result) return null;
+    const bulb = register(rinfo.address, rinfo.port, resp.result.mac);
+    const now = Date.now();
+
+    const key = `${bulb.id}|${resp.method}`;
+    const waiting = pending.get(key);
+    if (waiting) {
+      clearTimeout(waiting.timer);
+      pending.delete(key);
+      bulb.latencyMs = now - waiting.sentAt;
+    }
+    if (resp.method === 'setPilot' || resp.method === 'getPilot') bulb.acked++;
+
+    if (resp.method === 'getPilot') {
+      const { state, r, g, b, dimming, temp, sceneId, rssi } = resp.result;
+      bulb.pilot = { state, r, g, b, dimming, temp, sceneId, rssi };
+    }
+
+    if (!bulb.reachable && bulb.lastAckAt) console.log(`[wiz] Bulb ${bulb.id} is back`);
+    bulb.lastAckAt = now;
+    bulb.reachable = true;
+    bulb.missed = 0;
+    return bulb;
+  }
+
+  function getSocket() {
+    if (socket) return socket;
+    socket = dgram.createSocket('udp4');
+    socket.on('error', (err) => {
+      console.error('[wiz] UDP socket error:', err.message);
+      socket.close();
+      socket = null; // will be recreated on next send
+    });
+    socket.on('message', handleReply);
+    socket.bind(() => {
+      socket.setBroadcast(true);
+    });
+    return socket;
+  }
+
+  /**
+   * @param {object}        params  — setPilot params: { r, g, b } | { temp } | { sceneId }, plus dimming
+   * @param {string[]|null} [ids]   — registry ids to target; null = every known bulb
+   */
+  function setPilot(params, ids = null) {
+    if (registry.size === 0) {
+      const buf = Buffer.from(JSON.stringify({ method: 'setPilot', params }));
+      if (!warnedBroadcast) {
+        console.warn(`[wiz] No known bulbs yet — broadcasting to ${broadcast}. Set WIZ_IPS to unicast.`);
+        warnedBroadcast = true;
+      }
+      getSocket().send(buf, 0, buf.length, port, broadcast, (err) => {
+        if (err) console.error(`[wiz] Broadcast error:`, err.message);
+      });
+      return;
+    }
+
+    const targets = ids ? ids.map(id => registry.get(id)).filter(Boolean) : [...registry.values()];
+    targets.forEach(bulb => sendTo(bulb, 'setPilot', params));
+    if (debug) console.log(`[wiz] setPilot → ${targets.map(b => b.id).join(', ') || '(no matching bulbs)'} ${describePilot(params)}`);
+  }
+
+  // Unicast one command and start the ack clock for it
+  function sendTo(bulb, method, params) {
+    const buf = Buffer.from(JSON.stringify({ method, params }));
+    const key = `${bulb.id}|${method}`;
+
+    // While a command is still unanswered, keep timing from the oldest one —
+    // otherwise rapid taps would keep resetting the clock and hide a dead bulb.
+    if (!pending.has(key)) {
+      pending.set(key, {
+        sentAt: Date.now(),
+        timer: setTimeout(() => {
+          pending.delete(key);
+          markMissed(bulb);
+        }, ACK_TIMEOUT_MS),
+      });
+    }
+
+    bulb.sent++;
+    getSocket().send(buf, 0, buf.length, bulb.port, bulb.ip, (err) => {
+      if (err) {
+        clearTimeout(pending.get(key)?.timer);
+        pending.delete(key);
+        markMissed(bulb);
+        console.error(`[wiz] Send to ${bulb.id} failed:`, err.message);
+      }
+    });
+  }
+
+  /** Ask every known bulb for its current state (getPilot). Replies update health. */
+  function poll() {
+    registry.forEach(bulb => sendTo(bulb, 'getPilot', {}));
+  }
+
+  // Broadcast getSystemConfig and collect responding bulb IPs (mirrors test.py).
+  // Known bulbs are also probed directly, so they still answer (and stay in the
+  // registry) when the broadcast address is wrong for this subnet.
+  function discover() {
+    return new Promise((resolve) => {
+      const sock = dgram.createSocket('udp4');
+      const found = new Set();
+
+      sock.on('error', (err) => {
+        console.error('[wiz] Discovery socket error:', err.message);
+        try { sock.close(); } catch (_) {}
+        resolve([]);
+      });
+
+      sock.on('message', (msg, rinfo) => {
+        const known = registry.has(bulbId(rinfo.address, rinfo.port));
+        const bulb = handleReply(msg, rinfo);
+        if (bulb && bulb.mac && !found.has(bulb.id)) {
+          found.add(bulb.id);
+          if (!known) console.log(`[wiz] Found bulb at ${bulb.id} (MAC: ${bulb.mac})`);
+        }
+      });
+
+      sock.bind(() => {
+        sock.setBroadcast(true);
+        const discMsg = Buffer.from('{"method":"getSystemConfig","params":{}}');
+        sock.send(discMsg, 0, discMsg.length, port, broadcast, (err) => {
+          if (err) console.error('[wiz] Broadcast send error:', err.message);
+          else console.log(`[wiz] Discovery broadcast sent to ${broadcast}:${port}`);
+        });
+        registry.forEach(bulb => {
+          sock.send(discMsg, 0, discMsg.length, bulb.port, bulb.ip, () => {});
+        });
+        // Wait 2 seconds for bulbs to respond (same timeout as test.py)
+        setTimeout(() => {
+          try { sock.close(); } catch (_) {}
+          reconcile(found);
+          resolve([...found]);
+        }, 2000);
+      });
+    });
+  }
+
+  /** Registry snapshot — plain objects, safe to JSON-serialize. */
+  function bulbs() {
+    return [...registry.values()].map(b => ({ ...b, pilot: b.pilot && { ...b.pilot } }));
+  }
+
+  function close() {
+    pending.forEach(p => clearTimeout(p.timer));
+    pending.clear();
+    if (socket) { try { socket.close(); } catch (_) {} }
+    socket = null;
+  }
+
+  return { name: 'wiz', setPilot, poll, discover, bulbs, close };
+}
+
+module.exports = { createWizDriver, describePilot, WIZ_PORT, WIZ_TEMP_MIN, WIZ_TEMP_MAX, WIZ_SCENES };
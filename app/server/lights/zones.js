@@ -0,0 +1,136 @@
+/**
+ * zones.js — bulb zones and student → zone assignment
+ *
+ * A zone is a group of bulbs that always show the same color. With several
+ * bulbs in the room each student is assigned a zone, so the room can show
+ * several student colors at once instead of every tap repainting every bulb.
+ *
+ * LIGHT_ZONES groups bulbs explicitly (";" between zones, "," between bulbs):
+ *   LIGHT_ZONES="front=192.168.1.231,192.168.1.232;back=192.168.1.233"
+ * Known bulbs that aren't listed each get a zone of their own, numbered
+ * zone-1, zone-2, … in the order they turn up. Zone ids go out to every phone,
+ * so they never carry the bulb's address. With no bulbs known at all there is
+ * one zone that targets every bulb (broadcast fallback).
+ *
+ * ZONE_ASSIGN picks how students land in zones:
+ *   round-robin — next zone on each join (default)
+ *   team        — students who joined with the same ?team= share a zone
+ */
+
+'use strict';
+
+const ALL_ZONE_ID = 'all';
+
+/** "front=a,b;back=c" → [{ id: 'front', bulbIds: ['a', 'b'] }, { id: 'back', bulbIds: ['c'] }] */
+function parseZoneSpec(str) {
+  return (str ?? '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part, i) => {
+      const eq = part.indexOf('=');
+      const id = eq > 0 ? part.slice(0, eq).trim() : `zone-${i + 1}`;
+      const bulbIds = (eq > 0 ? part.slice(eq + 1) : part).split(',').map(s => s.trim()).filter(Boolean);
+      return { id, bulbIds };
+    })
+    .filter(z => z.bulbIds.length > 0);
+}
+
+// Stable small hash so the same team name always maps to the same zone
+function teamIndex(team, count) {
+  let h = 0;
+  for (const ch of team.toLowerCase()) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+  return h % count;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.spec]   — LIGHT_ZONES value
+ * @param {string} [opts.assign] — 'round-robin' | 'team'
+ */
+function createZones({ spec = '', assign = 'round-robin' } = {}) {
+  const configured = parseZoneSpec(spec);
+
+  // { id, bulbIds: string[] | null (= every bulb), hex, owner }
+  let zones = [{ id: ALL_ZONE_ID, bulbIds: null, hex: null, owner: null }];
+  const assigned = new Map(); // student key → zone id
+  const ownZone = new Map();  // unlisted bulb id → its zone id, kept if the bulb drops out and returns
+  let cursor = 0;
+
+  function ownZoneId(bulbId) {
+    if (!ownZone.has(bulbId)) {
+      const taken = new Set([...configured.map(z => z.id), ...ownZone.values()]);
+      let n = ownZone.size + 1;
+      while (taken.has(`zone-${n}`)) n++;
+      ownZone.set(bulbId, `zone-${n}`);
+    }
+    return ownZone.get(bulbId);
+  }
+
+  /**
+   * Rebuild zones from the current bulb registry. Colors and owners survive
+   * for zones that still exist; students in a vanished zone are moved.
+   * @param {string[]} bulbIds — ids from driver.bulbs()
+   */
+  function sync(bulbIds) {
+    const prev = new Map(zones.map(z => [z.id, z]));
+    const claimed = new Set();
+    const next = [];
+
+    configured.forEach(({ id, bulbIds: ids }) => {
+      ids.forEach(b => claimed.add(b));
+      next.push({ id, bulbIds: ids });
+    });
+    bulbIds.filter(b => !claimed.has(b)).forEach(b => next.push({ id: ownZoneId(b), bulbIds: [b] }));
+    if (next.length === 0) next.push({ id: ALL_ZONE_ID, bulbIds: null });
+
+    zones = next.map(z => ({ ...z, hex: prev.get(z.id)?.hex ?? null, owner: prev.get(z.id)?.owner ?? null }));
+
+    const ids = new Set(zones.map(z => z.id));
+    [...assigned.keys()].forEach(key => {
+      if (!ids.has(assigned.get(key))) assigned.set(key, zones[cursor++ % zones.length].id);
+    });
+  }
+
+  /**
+   * Zone for a student, assigning one on first sight. A returning key keeps
+   * its zone so a reconnect doesn't hop the student to another bulb.
+   */
+  function assignZone(key, team = '') {
+    const existing = assigned.get(key);
+    if (existing && zones.some(z => z.id === existing)) return get(existing);
+
+    const zone = assign === 'team' && team
+      ? zones[teamIndex(team, zones.length)]
+      : zones[cursor++ % zones.length];
+    assigned.set(key, zone.id);
+    return zone;
+  }
+
+  function get(id) {
+    return zones.find(z => z.id === id) ?? null;
+  }
+
+  function forKey(key) {
+    return get(assigned.get(key)) ?? null;
+  }
+
+  function paint(id, hex, owner) {
+    const zone = get(id);
+    if (!zone) return;
+    zone.hex = hex;
+    zone.owner = owner;
+  }
+
+  function paintAll(hex, owner) {
+    zones.forEach(z => { z.hex = hex; z.owner = owner; });
+  }
+
+  function list() {
+    return zones.map(z => ({ ...z }));
+  }
+
+  return { sync, assign: assignZone, get, forKey, paint, paintAll, list };
+}
+
+module.exports = { createZones };
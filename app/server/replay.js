@@ -0,0 +1,130 @@
+/**
+ * replay.js — play a recorded session back to connected clients
+ *
+ * Reads an event log (see event-log.js) and re-emits its broadcasts to
+ * everyone, on the original timing scaled by `speed` (1× or 4×). Host-only
+ * and viewer-only messages aren't replayed — zones, bulb health and the like
+ * describe the recording's hardware, not this room's.
+ *
+ * Gaps longer than MAX_GAP_MS (a break, a long tangent) are shortened so a
+ * demo never sits idle. With skipHost, broadcasts a host action caused are
+ * left out, so a live host can rehearse against the recorded audience.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const MAX_GAP_MS = 10000; // in recording time, before speed-up
+const SPEEDS     = [1, 4];
+
+/**
+ * @param {object}   opts
+ * @param {string}   opts.file
+ * @param {number}   [opts.speed]    — one of SPEEDS
+ * @param {boolean}  [opts.skipHost] — leave out broadcasts caused by the recorded host
+ * @param {function} opts.emit       — (msg) → void, sends one recorded broadcast
+ * @param {function} [opts.onEnd]
+ */
+function createReplay({ file, speed = 1, skipHost = false, emit, onEnd = () => {} }) {
+  const events = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach(raw => {
+    if (!raw.trim()) return;
+    try {
+      const e = JSON.parse(raw);
+      if (e.dir === 'out' && e.to === 'all' && !(skipHost && e.origin === 'host')) events.push(e);
+    } catch {
+      // a half-written last line from a crash — skip it
+    }
+  });
+
+  // Playback clock in recording-time ms from the first event, gaps capped
+  let offset = 0;
+  events.forEach((e, i) => {
+    if (i > 0) offset += Math.min(MAX_GAP_MS, e.at - events[i - 1].at);
+    e.offset = offset;
+  });
+  const duration = offset;
+
+  let index = 0;
+  let position = 0;     // recording-time ms reached
+  let resumedAt = 0;    // wall clock when position was last synced
+  let paused = true;
+  let timer = null;
+
+  function now() {
+    return paused ? position : position + (Date.now() - resumedAt) * speed;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    if (paused) return;
+    if (index >= events.length) {
+      paused = true;
+      position = duration;
+      onEnd();
+      return;
+    }
+    const wait = Math.max(0, (events[index].offset - now()) / speed);
+    timer = setTimeout(() => {
+      // Everything that's due — several events can share a millisecond
+      while (index < events.length && events[index].offset <= now()) emit(events[index++].msg);
+      schedule();
+    }, wait);
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────────────
+
+  function play() {
+    if (!paused) return;
+    if (index >= events.length) restart();
+    paused = false;
+    resumedAt = Date.now();
+    schedule();
+  }
+
+  function pause() {
+    if (paused) return;
+    position = now();
+    paused = true;
+    clearTimeout(timer);
+  }
+
+  function setSpeed(next) {
+    if (!SPEEDS.includes(next)) return;
+    position = now();
+    resumedAt = Date.now();
+    speed = next;
+    schedule();
+  }
+
+  /** Back to the start, keeping play/pause as it was. */
+  function restart() {
+    index = 0;
+    position = 0;
+    resumedAt = Date.now();
+    schedule();
+  }
+
+  function getState() {
+    return {
+      file: path.basename(file),
+      speed,
+      paused,
+      positionMs: Math.min(duration, Math.round(now())),
+      durationMs: duration,
+      events: events.length,
+      played: index,
+    };
+  }
+
+  function stop() {
+    paused = true;
+    clearTimeout(timer);
+  }
+
+  return { play, pause, setSpeed, restart, getState, stop };
+}
+
+module.exports = { createReplay, SPEEDS };
@@ -0,0 +1,38 @@
+/**
+ * roles.js — who can do what from the host dashboard
+ *
+ * Each room has up to three host keys, one per role:
+ *
+ *   presenter — the talk's owner: everything below, plus handing out invites
+ *   cohost    — runs the stage: switches modes and slides
+ *   moderator — looks after the audience: question moderation, student control
+ *
+ * Handlers ask for a permission, never a role, so a role's reach is changed
+ * here and nowhere else. The dashboard gets the same list on host_join and
+ * hides whatever the role can't use.
+ *
+ *   stage    — mode, slide_goto, the question being answered now
+ *   lights   — host_color, color_mode, spotlight, effects, house lights, rescan
+ *   content  — edit slides, upload the script, export the session, replay controls
+ *   moderate — hide, pin and mark questions answered; pre-moderation and the
+ *              review queue; the word filter's log; kick, mute and rename
+ *              students; lock the room
+ *   team     — see the co-host and moderator invite links
+ */
+
+'use strict';
+
+const PERMISSIONS = {
+  presenter: ['stage', 'lights', 'content', 'moderate', 'team'],
+  cohost:    ['stage'],
+  moderator: ['moderate'],
+};
+
+const ROLES = Object.keys(PERMISSIONS);
+
+/** @returns {boolean} */
+function can(role, permission) {
+  return PERMISSIONS[role]?.includes(permission) ?? false;
+}
+
+module.exports = { ROLES, PERMISSIONS, can };
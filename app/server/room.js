@@ -0,0 +1,1854 @@
+/**
+ * room.js — one talk: its audience, state, slides, script, host keys and lights
+ *
+ * Everything a talk needs lives in a room: the connected sockets, mode and
+ * slide, questions, colors, the session log, the event log and the light
+ * pipeline (zones → color mode → effects → driver). The server keeps a
+ * registry of rooms and routes each request and socket to one (see server.js):
+ *
+ *   room.attach(socket, req)                   — a WebSocket for this room, with its upgrade request
+ *   room.handleRequest(req, res, pathname)     → true if it answered —
+ *                                                /auth, /auth/logout, /api/slides, /api/script,
+ *                                                /api/invites, /state, /api/export…
+ *   room.start()                               — timers, discovery, slides watch
+ *   room.close({ reason? })                    → ms to wait for restore packets
+ *   room.info()                                — { id, title, students, mode, … }
+ *
+ * Rooms never share state. The default room ('main') is the one the server
+ * was started for; it owns the configured bulbs. Rooms opened later through
+ * the admin API get their own slides, script and logs under data/rooms/<id>/.
+ */
+
+'use strict';
+
+const fs      = require('fs');
+const path    = require('path');
+const crypto  = require('crypto');
+const { WebSocket } = require('ws');
+const { createZones } = require('./lights/zones');
+const { createEffects, tempToHex, SCENES } = require('./lights/effects');
+const { WIZ_TEMP_MIN, WIZ_TEMP_MAX, WIZ_SCENES } = require('./lights/wiz');
+const { createAggregator, MODES: COLOR_MODES } = require('./lights/aggregate');
+const { createSpotlight } = require('./lights/spotlight');
+const { createSnapshot } = require('./lights/snapshot');
+const { createSessionStore, HISTORY_KINDS, MAX_HISTORY } = require('./session-store');
+const { buildArchive, toCsv, renderReport } = require('./export');
+const { createEventLog } = require('./event-log');
+const { createReplay } = require('./replay');
+const { ROLES, PERMISSIONS, can } = require('./roles');
+const { readBody } = require('./http-body');
+const { sameKey } = require('./host-auth');
+
+// ─── Per-client rate limiter ────────────────────────────────────────────────
+// Prevents a student from flooding the server/bulbs by mashing colors.
+// Allows at most 1 color change per COLOR_RATE_MS per client.
+
+const COLOR_RATE_MS    = 300;   // minimum ms between accepted color changes per client
+const QUESTION_RATE_MS = 5000;  // minimum ms between questions per client (prevents spam)
+const TEXT_RATE_MS     = 8000;  // minimum ms between text responses (one thoughtful answer)
+const VOTE_RATE_MS     = 250;   // minimum ms between upvotes — a double tap is one vote, not a broadcast storm
+
+// Slides and the script — bigger than this is a mistake, not a talk
+const MAX_UPLOAD_BYTES = 512 * 1024;
+
+// A kicked student can't join again until this has passed
+const KICK_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Bulb ids are addresses on the venue LAN. Everything that carries them —
+// zones, bulb health, discovery, GET /state — goes only to host sessions whose
+// role has this permission (see roles.js), on the socket and over REST alike.
+const BULB_PERMISSION = 'lights';
+
+// Student identity. The first join hands the phone a random device secret,
+// kept in its localStorage; the student's id (sid) is a hash of it. The sid
+// keys the student everywhere and goes out in broadcasts — the secret never
+// does, so nobody can take over someone else's seat by copying it.
+const DEVICE_RE = /^[A-Za-z0-9_-]{22,64}$/;
+
+/**
+ * @param {object}   opts
+ * @param {string}   opts.id
+ * @param {string}   [opts.title]
+ * @param {string}   opts.hostKey       — what the presenter types to log in (POST /auth)
+ * @param {string}   [opts.cohostKey]   — logs in as co-host; none, no co-hosts (see roles.js)
+ * @param {string}   [opts.moderatorKey] — logs in as moderator; none, no moderators
+ * @param {object}   opts.auth          — signed host sessions (see host-auth.js)
+ * @param {string}   opts.cookiePath    — path the session cookie is scoped to: '/' or '/r/<id>'
+ * @param {string}   [opts.presenter]   — name host colors go out under
+ * @param {string}   opts.slidesPath    — slides.json
+ * @param {string}   opts.scriptPath    — teleprompter markdown
+ * @param {string}   opts.sessionPath   — session log (see session-store.js)
+ * @param {boolean}  [opts.sessionFresh]
+ * @param {string}   opts.eventsDir     — event logs (see event-log.js)
+ * @param {boolean}  [opts.eventLog]    — false: don't record one
+ * @param {object}   [opts.replay]      — { file, speed, skipHost }: play that event log back instead of recording
+ * @param {object}   opts.lights        — light driver (see lights/index.js)
+ * @param {string}   [opts.zoneSpec]    — LIGHT_ZONES format (see lights/zones.js)
+ * @param {Array}    [opts.photos]      — collage photos: [{ src, alt, caption }]
+ * @param {boolean}  [opts.premoderate] — start with questions and text responses held for review
+ * @param {object}   [opts.filter]      — word filter for names and posts (see filter.js); none, nothing is filtered
+ */
+function createRoom({
+  id, title = id, hostKey, cohostKey, moderatorKey, auth, cookiePath, presenter = 'Ashika',
+  slidesPath, scriptPath, sessionPath, sessionFresh = false,
+  eventsDir, eventLog: recordEvents = true, replay: replayOpts = null,
+  lights, zoneSpec, photos = [], premoderate = false, filter = { check: () => null },
+}) {
+  const HOST_KEY = hostKey;
+  const ROLE_KEYS = { presenter: HOST_KEY, cohost: cohostKey, moderator: moderatorKey };
+  // Log lines from rooms other than the default one say which room they're about
+  const tag = id === 'main' ? '' : ` (room ${id})`;
+
+  // ─── Slides ────────────────────────────────────────────────────────────────
+
+  const SLIDES_PATH = slidesPath;
+  const SCRIPT_PATH = scriptPath;
+
+  function loadSlides() {
+    try {
+      if (!fs.existsSync(SLIDES_PATH)) return [];
+      const raw = fs.readFileSync(SLIDES_PATH, 'utf8');
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.warn(`[slides] Could not load ${path.basename(SLIDES_PATH)}${tag}:`, err.message);
+      return [];
+    }
+  }
+
+  function saveSlides(slides) {
+    const dataDir = path.dirname(SLIDES_PATH);
+    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(SLIDES_PATH, JSON.stringify(slides, null, 2), 'utf8');
+  }
+
+  // ─── App state ─────────────────────────────────────────────────────────────
+
+  const appState = {
+    mode: 'lobby',
+    roomColorHex: '#FF6EB4',
+    totalColorChanges: 0,
+    clients: new Map(),   // ws → { sid, name, hex, isHost }
+    // Everyone who joined this talk — a returning phone resumes from here
+    students: new Map(),  // sid → { name, hex, colorsSent, renamed }
+    questions: [],        // [{ id, sid, name, text, hex, at, votes, answered, pinned }] — arrival order; see rankQuestions
+    // Who upvoted what — one vote per student per question
+    voters: new Map(),    // question id → Set of sids
+    // The question the presenter is answering now — full screen on the phones in qa mode
+    questionSpotlight: null, // question id | null
+    textResponses: [],
+    // Pre-moderation: submissions waiting for a moderator — hosts only, never in welcome
+    pending: [],          // [{ type: 'question' | 'text_response', id, sid, name, text, hex, at }]
+    // What the word filter caught, newest last — hosts only, the text as it was sent
+    filtered: [],         // [{ kind: 'name' | 'question' | 'text_response', sid, name, text, action, words, at }]
+    photos,
+    // Reaction totals — persisted so late-joining students and reconnecting host
+    // see accurate cumulative counts, not "0" for everything.
+    reactionCounts: { '👀': 0, '💡': 0, '🔥': 0, '😮': 0 },
+    // Slides — loaded from disk; default empty array if file doesn't exist
+    slides: loadSlides(),
+    currentSlideIndex: 0,
+    // Timeline of joins, leaves, picks, reactions and mode changes: [{ kind, at, ... }]
+    // — what the post-talk export is built from (see export.js)
+    history: [],
+    // How each bulb looked before the talk — bulb id → setPilot params (see lights/snapshot.js)
+    preTalk: {},
+    // The host's lighting: kept here as well as in the modules that run it, so
+    // the session log can save it before those exist and a restart resumes it
+    colorMode: 'last',     // see lights/aggregate.js
+    fx: null,              // effects.getState() once the host has touched a scene or option
+    houseLights: false,    // bulbs back in their pre-talk state, effects paused
+  };
+
+  // Student moderation (see the Moderation section). Everything is by sid, so
+  // two students with the same name are told apart.
+  const moderation = {
+    locked: false,         // no new students can join; anyone in appState.students can come back
+    premod: false,         // questions and text responses wait in appState.pending for review
+    muted:  new Set(),     // sids whose questions and text responses are dropped
+    kicked: new Map(),     // sid → { name, until } — when they may join again
+  };
+
+  // ─── Session persistence ───────────────────────────────────────────────────
+  // Every change to the talk is appended to the session log and replayed here
+  // at startup, so a crash or restart mid-talk resumes where it left off (see
+  // session-store.js). sessionFresh sets the old log aside for a new talk.
+
+  // Replay mode plays a recorded session back (see the Event log section) —
+  // it mustn't overwrite the real talk's state
+  const REPLAYING = Boolean(replayOpts);
+
+  function sessionState() {
+    return {
+      mode:              appState.mode,
+      currentSlideIndex: appState.currentSlideIndex,
+      totalColorChanges: appState.totalColorChanges,
+      roomColorHex:      appState.roomColorHex,
+      reactionCounts:    appState.reactionCounts,
+      questions:         appState.questions,
+      voters:            Object.fromEntries([...appState.voters].map(([qid, sids]) => [qid, [...sids]])),
+      questionSpotlight: appState.questionSpotlight,
+      textResponses:     appState.textResponses,
+      history:           appState.history,
+      students:          Object.fromEntries(appState.students),
+      locked:            moderation.locked,
+      muted:             [...moderation.muted],
+      kicked:            Object.fromEntries([...moderation.kicked].filter(([, k]) => k.until > Date.now())),
+      premod:            moderation.premod,
+      pending:           appState.pending,
+      filtered:          appState.filtered,
+      preTalk:           appState.preTalk,
+      colorMode:         appState.colorMode,
+      fx:                appState.fx,
+      houseLights:       appState.houseLights,
+    };
+  }
+
+  // Record a change to the talk: in the session log, and on the history
+  // timeline for kinds the export shows (see session-store.js)
+  function logEvent(kind, data = {}) {
+    session.record(kind, data);
+    if (HISTORY_KINDS.has(kind)) {
+      appState.history.push({ kind, at: Date.now(), ...data });
+      if (appState.history.length > MAX_HISTORY) appState.history.shift();
+    }
+  }
+
+  const session = createSessionStore({
+    file:     sessionPath,
+    getState: sessionState,
+    fresh:    sessionFresh,
+    enabled:  !REPLAYING,
+  });
+
+  (function resumeSession() {
+    const saved = session.load();
+    if (saved) {
+      appState.mode              = saved.mode;
+      appState.currentSlideIndex = Math.min(saved.currentSlideIndex, Math.max(0, appState.slides.length - 1));
+      appState.totalColorChanges = saved.totalColorChanges;
+      appState.roomColorHex      = saved.roomColorHex ?? appState.roomColorHex;
+      appState.reactionCounts    = { ...appState.reactionCounts, ...saved.reactionCounts };
+      appState.questions         = saved.questions;
+      appState.voters            = new Map(Object.entries(saved.voters).map(([qid, sids]) => [qid, new Set(sids)]));
+      appState.questionSpotlight = saved.questionSpotlight;
+      appState.textResponses     = saved.textResponses;
+      appState.history           = saved.history;
+      moderation.locked          = saved.locked;
+      moderation.muted           = new Set(saved.muted);
+      moderation.kicked          = new Map(Object.entries(saved.kicked));
+      moderation.premod          = saved.premod;
+      appState.pending           = saved.pending;
+      appState.filtered          = saved.filtered;
+      appState.students          = new Map(Object.entries(saved.students));
+      appState.preTalk           = saved.preTalk;
+      appState.colorMode         = saved.colorMode;
+      appState.fx                = saved.fx;
+      appState.houseLights       = saved.houseLights;
+      console.log(`[session] Resumed${tag}: mode ${saved.mode}, slide ${appState.currentSlideIndex + 1}, ` +
+        `${saved.questions.length} question(s), ${saved.textResponses.length} response(s), ` +
+        `${saved.totalColorChanges} color change(s)`);
+    }
+    // PREMODERATE=1 turns it on for this run whatever the last one did
+    if (premoderate) moderation.premod = true;
+    // Start every run from a one-line log
+    session.compact();
+  })();
+
+  // ─── Event log + replay ────────────────────────────────────────────────────
+  // Every inbound message and every broadcast goes to <eventsDir>/<start>.jsonl
+  // (see event-log.js). A room given a replay plays a recorded log's
+  // broadcasts back to whoever connects instead (see replay.js); skipHost
+  // leaves the recorded host's actions out so you can drive the talk yourself.
+
+  const eventLog = createEventLog({
+    dir:     eventsDir,
+    enabled: !REPLAYING && recordEvents,
+  });
+
+  // Whose message the current broadcast answers — tags 'out' events for replay
+  let messageOrigin = 'server';
+
+  const replay = REPLAYING ? createReplay({
+    ...replayOpts,
+    emit:     replayMessage,
+    onEnd:    () => {
+      console.log('[replay] Reached the end of the recording');
+      pushReplayState();
+    },
+  }) : null;
+
+  let replayColorMode = 'last'; // the recording's color mode, followed from its color_mode broadcasts
+
+  // One recorded broadcast: send it on, and keep state + bulbs in step so late
+  // joiners get the right welcome and the room shows what the recording did
+  function replayMessage(msg) {
+    switch (msg.type) {
+      case 'mode':
+        appState.mode = msg.mode;
+        effects.setAmbient(msg.mode === 'ambient');
+        break;
+      case 'slide_goto':
+        appState.currentSlideIndex = Math.min(msg.index, Math.max(0, appState.slides.length - 1));
+        break;
+      case 'color_mode':
+        replayColorMode = msg.mode;
+        break;
+      case 'join':
+      case 'color':
+        if (replayColorMode === 'last') replayPaint(msg.zone, msg.hex, msg.name);
+        break;
+      case 'room_color':
+        replayPaint(msg.zone, msg.hex, msg.owner);
+        break;
+      case 'question_hidden':
+        appState.questions = appState.questions.filter(q => q.id !== msg.id);
+        break;
+      case 'question_spotlight':
+        appState.questionSpotlight = msg.id;
+        break;
+      case 'question_update': {
+        const q = appState.questions.find(e => e.id === msg.id);
+        if (q) Object.assign(q, { votes: msg.votes, answered: msg.answered, pinned: msg.pinned });
+        break;
+      }
+      case 'question':
+      case 'text_response': {
+        const { type, ...entry } = msg;
+        const list = type === 'question' ? appState.questions : appState.textResponses;
+        list.push(entry);
+        if (list.length > 200) list.shift();
+        break;
+      }
+      default:
+        break;
+    }
+    broadcast(msg);
+  }
+
+  // Recorded zone ids are the recording room's zones — unknown here means the whole room
+  function replayPaint(zoneId, hex, owner) {
+    const zone = zoneId && zones.get(zoneId);
+    if (!zone) return paintRoom({ hex }, hex, owner);
+    appState.roomColorHex = hex;
+    zones.paint(zone.id, hex, owner);
+    sendToLights({ hex }, zone);
+    pushZones();
+  }
+
+  function pushReplayState() {
+    if (replay) broadcastToHosts({ type: 'replay_state', ...replay.getState() });
+  }
+
+  // ─── Lights ──────────────────────────────────────────────────────────────
+  // The room's driver comes from the server (see lights/index.js); everything
+  // from zones down is per room.
+
+  // Zones: which bulbs each student paints (see lights/zones.js). Re-synced
+  // whenever the bulb registry changes, e.g. after discovery.
+  const zones = createZones({
+    spec:   zoneSpec,
+    assign: process.env.ZONE_ASSIGN ?? 'round-robin',
+  });
+  zones.sync(lights.bulbs().map(b => b.id));
+
+  // Effects: fades, reaction pulses, ambient breathing and host scenes (see
+  // lights/effects.js). Every zone color goes through here rather than straight
+  // to the driver, at most FX_MAX_RATE commands per zone per second.
+  const FX_MAX_RATE = parseInt(process.env.FX_MAX_RATE ?? '10', 10);
+
+  const effects = createEffects({
+    output:  (params, ids) => lights.setPilot(params, ids),
+    maxRate: FX_MAX_RATE,
+  });
+  effects.sync(zones.list());
+  // A resumed session may already be in ambient, mid-scene or under house lights
+  effects.setAmbient(appState.mode === 'ambient');
+  if (appState.fx) {
+    effects.setOptions(appState.fx);
+    effects.setScene(appState.fx.scene);
+  }
+  if (appState.houseLights) effects.pause();
+
+  // After the host changes a scene or option: tell the dashboards, keep it for a restart
+  function saveFx() {
+    appState.fx = effects.getState();
+    logEvent('fx', { state: appState.fx });
+    broadcastToHosts({ type: 'fx_state', ...appState.fx });
+  }
+
+  // Call after the bulb registry changes — moves students whose zone vanished
+  function syncZones() {
+    zones.sync(lights.bulbs().map(b => b.id));
+    effects.sync(zones.list());
+    appState.clients.forEach(c => {
+      if (c.sid) c.zone = zones.forKey(c.sid)?.id ?? null;
+    });
+    pushZones();
+    broadcastToViewers({ type: 'room_layout', zones: roomLayout() });
+  }
+
+  // Snapshot: each bulb's state from before the talk (see lights/snapshot.js).
+  // Restored on shutdown, and while the host has the house lights up. A
+  // resumed talk keeps the one it took first time round.
+  const snapshot = createSnapshot({ lights, saved: appState.preTalk });
+
+  // Give the restore packets a moment to leave before the socket closes
+  const RESTORE_FLUSH_MS = 300;
+
+  // Bulb health: poll every bulb with getPilot and stream the registry (acks,
+  // latency, failures) to the host so a dead bulb shows up before the talk.
+  const BULB_POLL_MS = parseInt(process.env.BULB_POLL_MS ?? '5000', 10);
+
+  function pushBulbHealth() {
+    broadcastToPermitted(BULB_PERMISSION, { type: 'bulb_health', bulbs: lights.bulbs() });
+  }
+
+  // Discovery: runs at startup, every DISCOVERY_INTERVAL_MS (0 = never again)
+  // and when the host hits Rescan — so a bulb that reboots or joins Wi-Fi late
+  // is picked up mid-talk. The driver merges new bulbs and forgets long-dead
+  // ones; we diff its registry to tell the host who joined and left.
+  const DISCOVERY_INTERVAL_MS = parseInt(process.env.DISCOVERY_INTERVAL_MS ?? '60000', 10);
+  let scanning = null; // in-flight discovery promise — one round at a time
+
+  function rescan() {
+    if (scanning) return scanning;
+    broadcastToHosts({ type: 'rescan', scanning: true });
+    const before = new Set(lights.bulbs().map(b => b.id));
+
+    scanning = lights.discover()
+      .then(found => {
+        const after  = lights.bulbs();
+        const joined = after.filter(b => !before.has(b.id));
+        const left   = [...before].filter(id => !after.some(b => b.id === id));
+
+        joined.forEach(bulb => {
+          console.log(`[lights] Bulb ${bulb.id} joined`);
+          broadcastToPermitted(BULB_PERMISSION, { type: 'bulb_join', bulb });
+        });
+        left.forEach(id => {
+          console.log(`[lights] Bulb ${id} left`);
+          broadcastToPermitted(BULB_PERMISSION, { type: 'bulb_leave', id });
+        });
+
+        // A new bulb's state is saved before it's given a zone — and so
+        // before the first frame can reach it
+        return (joined.length ? captureSnapshot() : Promise.resolve()).then(() => {
+          if (joined.length || left.length) syncZones();
+          pushBulbHealth();
+          broadcastToHosts({ type: 'rescan', scanning: false, found: found.length });
+          return found;
+        });
+      })
+      .finally(() => { scanning = null; });
+    return scanning;
+  }
+
+  // Remember how new bulbs looked before anyone touched them (see lights/snapshot.js)
+  function captureSnapshot() {
+    return snapshot.capture().then(n => {
+      if (n) {
+        console.log(`[lights] Saved the starting state of ${n} bulb(s) — restored on shutdown`);
+        appState.preTalk = snapshot.toJSON();
+        logEvent('pre_talk', { bulbs: appState.preTalk });
+      }
+      broadcastToHosts({ type: 'house_lights', on: appState.houseLights, saved: snapshot.size() });
+    });
+  }
+
+  /**
+   * @param {object}      look   — { hex } | { temp } | { sceneId }, + brightness (see lights/effects.js)
+   * @param {object|null} [zone] — zone from zones.js; null paints every bulb
+   */
+  function sendToLights(look, zone = null) {
+    if (zone) effects.paint(zone.id, look);
+    else effects.paintAll(look);
+  }
+
+  // Color aggregation: how picks become zone colors (see lights/aggregate.js).
+  // In 'last' mode the 'color' broadcast already is the room color; the other
+  // modes announce what the zone settled on with 'room_color'.
+  const colorModes = createAggregator({
+    mode:  appState.colorMode,
+    apply: (zoneId, look, owner) => {
+      const zone = zones.get(zoneId);
+      if (!zone) return;
+      const { hex } = look;
+      appState.roomColorHex = hex;
+      logEvent('room_color', { hex });
+      zones.paint(zone.id, hex, owner);
+      sendToLights(look, zone);
+      if (colorModes.getMode() !== 'last') broadcast({ type: 'room_color', hex, zone: zone.id, owner });
+      pushZones();
+    },
+  });
+
+  // Spotlight: in the 'spotlight' color mode students queue up and only the
+  // holder may pick, painting every zone (see lights/spotlight.js).
+  const SPOTLIGHT_MS = parseInt(process.env.SPOTLIGHT_SECONDS ?? '20', 10) * 1000;
+
+  const spotlight = createSpotlight({
+    turnMs:   SPOTLIGHT_MS,
+    onChange: (state, newHolder) => {
+      broadcast({ type: 'spotlight', ...spotlightState(state) });
+      // The new holder's current color goes up straight away
+      const holder = newHolder && findStudent(newHolder);
+      if (holder?.hex) {
+        paintRoom({ hex: holder.hex, brightness: holder.brightness }, holder.hex, holder.name);
+        broadcast({ type: 'room_color', hex: holder.hex, zone: null, owner: holder.name });
+      }
+    },
+  });
+
+  // A talk resumed in spotlight mode starts with an empty queue — students
+  // line up again as their phones reconnect
+  if (appState.colorMode === 'spotlight') spotlight.setActive(true);
+
+  // The queue is sids — screens also need the names to show
+  function spotlightState(state = spotlight.getState()) {
+    return { ...state, names: Object.fromEntries(state.queue.map(sid => [sid, appState.students.get(sid)?.name ?? null])) };
+  }
+
+  /**
+   * Every zone to one look — host override and spotlight picks.
+   * @param {object} look — see sendToLights
+   * @param {string} hex  — what screens show for it (a white's approximate color, say)
+   */
+  function paintRoom(look, hex, owner) {
+    appState.roomColorHex = hex;
+    logEvent('room_color', { hex });
+    zones.paintAll(hex, owner);
+    sendToLights(look);
+    pushZones();
+  }
+
+  function pushZones() {
+    broadcastToPermitted(BULB_PERMISSION, { type: 'zones', zones: zonesPayload() });
+  }
+
+  function zonesPayload() {
+    return zones.list().map(z => ({
+      id:       z.id,
+      bulbs:    z.bulbIds ?? [],
+      hex:      z.hex,
+      owner:    z.owner,
+      students: [...new Set([...appState.clients.values()]
+        .filter(c => c.sid && c.zone === z.id)
+        .map(c => c.sid))],
+    }));
+  }
+
+  // What the /room visualizer draws: how many lights each zone has and what it
+  // shows. Zone ids are opaque (see lights/zones.js) and bulb ids are addresses
+  // on the venue LAN, so only the count of those goes out.
+  function roomLayout() {
+    return zones.list().map(z => ({
+      id:     z.id,
+      lights: z.bulbIds?.length ?? 0,
+      hex:    z.hex,
+      owner:  z.owner,
+    }));
+  }
+
+  // ─── WebSocket clients ─────────────────────────────────────────────────────
+
+  /** A socket that connected on this room's path. */
+  function attach(socket, req) {
+    // Register new connection with blank state. A host session (cookie or
+    // bearer token on the upgrade request) is what lets host_join succeed.
+    appState.clients.set(socket, { sid: null, name: null, hex: null, brightness: null, zone: null, isHost: false, isViewer: false, session: auth.fromRequest(req, id), kickedUntil: 0, lastColorAt: 0, lastQuestionAt: 0, lastTextAt: 0, lastVoteAt: 0 });
+
+    // Send welcome payload
+    socket.send(JSON.stringify({
+      type: 'welcome',
+      mode: appState.mode,
+      count: studentCount(),
+      totalColorChanges: appState.totalColorChanges,
+      roomColor: appState.roomColorHex,
+      colorMode: colorModes.getMode(),
+      spotlight: spotlightState(),
+      photos: appState.photos,
+      textResponses: appState.textResponses.slice(-10),
+      // The top of the board, not the latest — an early question with votes stays on it
+      questions: rankQuestions(appState.questions).slice(0, 30),
+      questionSpotlight: questionSpotlightState(),
+      // Cumulative reaction counts — lets late joiners and reconnectors see accurate totals
+      reactionCounts: appState.reactionCounts,
+      // Slides — full array so students can render any slide index
+      slides: appState.slides,
+      currentSlideIndex: appState.currentSlideIndex,
+      students: studentIds().map(sid => {
+        const { name, hex, zone } = findStudent(sid);
+        return { sid, name, hex, zone, colorsSent: appState.students.get(sid).colorsSent };
+      }),
+    }));
+
+    socket.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return; // Ignore malformed messages
+      }
+      // Valid JSON isn't necessarily a message: null, 42 or "hi" would throw
+      // on msg.type and take every room down with this process
+      if (!msg || typeof msg !== 'object') return;
+
+      const client = appState.clients.get(socket);
+      const fromHost = Boolean(client?.isHost || msg.type === 'host_join');
+      eventLog.record({ dir: 'in', from: fromHost ? 'host' : client?.name ?? null, msg });
+
+      messageOrigin = fromHost ? 'host' : 'student';
+      try {
+        handleMessage(socket, msg);
+      } finally {
+        messageOrigin = 'server';
+      }
+    });
+
+    socket.on('close', () => {
+      const client = appState.clients.get(socket);
+      appState.clients.delete(socket);
+      if (closed) return; // the room closed under everyone — nobody left to tell
+
+      // A reconnect, or a second tab, may already have another socket under
+      // the same sid — then the student hasn't gone anywhere
+      const gone = Boolean(client?.sid) && !findStudent(client.sid);
+      if (gone) logEvent('leave', { sid: client.sid, name: client.name });
+
+      // Notify remaining clients of new count (and which student left so host can remove them)
+      broadcast({
+        type: 'leave',
+        sid: gone ? client.sid : null,
+        name: gone ? client.name : null,
+        count: studentCount(),
+      });
+      if (client?.zone) pushZones();
+      if (gone) spotlight.remove(client.sid);
+    });
+
+    socket.on('error', (err) => {
+      console.error('[ws] Socket error:', err.message);
+    });
+  }
+
+  // ─── Message handler ───────────────────────────────────────────────────────
+
+  function handleMessage(socket, msg) {
+    const client = appState.clients.get(socket);
+    if (!client) return;
+
+    switch (msg.type) {
+
+      case 'join': {
+        let name = sanitize(msg.name);
+        const hex  = sanitizeHex(msg.hex);
+        // Require at least 1 visible character after sanitizing — blocks invisible-char names
+        if (!name || name.replace(/\s/g, '').length < 1 || !hex) return;
+
+        // First join from this phone: issue it a device secret
+        const device = isDevice(msg.device) ? msg.device : crypto.randomBytes(18).toString('base64url');
+        const sid = studentId(device);
+
+        let refusal = joinRefusal(sid, client);
+        // A moderator's rename sticks: a renamed student who joins again keeps
+        // that name, whatever the phone sends
+        const known = appState.students.get(sid);
+        if (!refusal && known?.renamed) name = known.name;
+        // A name the filter holds can't wait for review — it's refused like a
+        // rejected one; a masked one joins masked
+        const hit = refusal || known?.renamed ? null : screen('name', { sid, name }, name);
+        if (hit && hit.action !== 'mask') refusal = { reason: 'name' };
+        if (refusal) {
+          socket.send(JSON.stringify({ type: 'join_refused', ...refusal }));
+          return;
+        }
+        if (hit) name = hit.text;
+
+        admit(socket, { device, sid, name, hex, team: sanitize(msg.team, 30) });
+        break;
+      }
+
+      // A phone that joined before (page reload, new tab) comes back as the
+      // same student: name, color and colors sent. Unknown devices get no
+      // answer — the phone just shows the join form.
+      case 'resume': {
+        if (client.sid || !isDevice(msg.device)) return;
+        const sid = studentId(msg.device);
+        const known = appState.students.get(sid);
+        if (!known) return;
+        const refusal = joinRefusal(sid, client);
+        if (refusal) {
+          socket.send(JSON.stringify({ type: 'join_refused', ...refusal }));
+          return;
+        }
+        admit(socket, { device: msg.device, sid, name: known.name, hex: known.hex, team: sanitize(msg.team, 30) });
+        break;
+      }
+
+      case 'color': {
+        if (!client.sid) return;
+        const hex = sanitizeHex(msg.hex);
+        if (!hex) return;
+        // Optional — a pick without one uses the default dimming
+        const brightness = sanitizeBrightness(msg.brightness);
+
+        // Spotlight mode: only the student holding the spotlight changes the lights
+        const spotlit = colorModes.getMode() === 'spotlight';
+        if (spotlit && !spotlight.holds(client.sid)) return;
+
+        // Rate limit: drop color changes that arrive faster than COLOR_RATE_MS
+        const now = Date.now();
+        if (now - client.lastColorAt < COLOR_RATE_MS) return;
+        client.lastColorAt = now;
+
+        client.hex = hex;
+        client.brightness = brightness;
+        const student = appState.students.get(client.sid);
+        student.hex = hex;
+        student.colorsSent++;
+        appState.totalColorChanges++;
+        logEvent('color', { sid: client.sid, name: client.name, hex });
+
+        // Only the student's own zone changes — other zones keep their colors
+        const zone = zones.get(client.zone) ?? zones.assign(client.sid);
+        client.zone = zone.id;
+        if (spotlit) paintRoom({ hex, brightness }, hex, client.name);
+        else colorModes.pick(zone.id, client.sid, { hex, brightness }, client.name);
+
+        // Broadcast to all OTHER clients — sender handles their own UI optimistically
+        broadcast({ type: 'color', sid: client.sid, name: client.name, hex, zone: zone.id }, socket);
+        if (spotlit) broadcast({ type: 'room_color', hex, zone: null, owner: client.name });
+        break;
+      }
+
+      case 'reaction': {
+        if (!client.sid) return;
+        const emoji = sanitizeEmoji(msg.emoji);
+        if (!emoji) return;
+
+        // Persist cumulative count — welcome payload sends this to late joiners / reconnectors
+        appState.reactionCounts[emoji] = (appState.reactionCounts[emoji] || 0) + 1;
+        logEvent('reaction', { sid: client.sid, name: client.name, emoji });
+        effects.pulse();
+
+        // Exclude sender — they already bumped their own reaction count in handleReaction()
+        broadcast({ type: 'reaction', name: client.name, emoji }, socket);
+        break;
+      }
+
+      case 'text_response': {
+        if (!client.sid || moderation.muted.has(client.sid)) return;
+        const text = sanitize(msg.text, 200);
+        if (!text) return;
+
+        // Rate-limit: one text response per 8 seconds — encourages thoughtful answers
+        const nowT = Date.now();
+        if (nowT - client.lastTextAt < TEXT_RATE_MS) return;
+        client.lastTextAt = nowT;
+
+        submit(socket, 'text_response', text);
+        break;
+      }
+
+      case 'question': {
+        if (!client.sid || moderation.muted.has(client.sid)) return;
+        const text = sanitize(msg.text, 300);
+        if (!text) return;
+
+        // Rate-limit: prevent question spam from bored students
+        const nowQ = Date.now();
+        if (nowQ - client.lastQuestionAt < QUESTION_RATE_MS) return;
+        client.lastQuestionAt = nowQ;
+
+        submit(socket, 'question', text);
+        break;
+      }
+
+      // One vote per student per question; vote: false takes it back
+      case 'question_vote': {
+        if (!client.sid || typeof msg.id !== 'string') return;
+        const q = appState.questions.find(e => e.id === msg.id);
+        if (!q || q.answered) return;
+
+        const nowV = Date.now();
+        if (nowV - client.lastVoteAt < VOTE_RATE_MS) return;
+        client.lastVoteAt = nowV;
+
+        const vote = msg.vote !== false;
+        if (!appState.voters.has(q.id)) appState.voters.set(q.id, new Set());
+        const voters = appState.voters.get(q.id);
+        if (voters.has(client.sid) === vote) return;
+        if (vote) voters.add(client.sid);
+        else voters.delete(client.sid);
+        q.votes = voters.size;
+        logEvent('question_vote', { id: q.id, sid: client.sid, vote });
+        // Every phone of this student shows the arrow lit
+        sendToStudent(client.sid, { type: 'voted', id: q.id, vote });
+        pushQuestion(q);
+        break;
+      }
+
+      // The /room page: a read-only screen, never a student — it doesn't count
+      // towards the student total and gets the layout the phones don't need
+      case 'viewer_join': {
+        client.isViewer = true;
+        socket.send(JSON.stringify({ type: 'room_layout', zones: roomLayout() }));
+        break;
+      }
+
+      // ── Host-only messages ──
+
+      case 'host_join': {
+        // A token from before roles existed has none — it has to log in again
+        if (!auth.isLive(client.session) || !ROLES.includes(client.session.role)) {
+          socket.send(JSON.stringify({ type: 'session_expired' }));
+          return;
+        }
+        // Any number of host sockets can be live at once — presenter, co-hosts and
+        // moderators each on their own dashboard. What each may do is down to its role.
+        client.isHost = true;
+        client.sid    = null;
+        client.name   = '__host__';
+
+        const role = client.session.role;
+        socket.send(JSON.stringify({ type: 'host_role', role, permissions: PERMISSIONS[role] }));
+
+        // Bulb addresses and health only for the roles that run the lights
+        if (allowed(socket, BULB_PERMISSION)) {
+          socket.send(JSON.stringify({ type: 'zones', zones: zonesPayload() }));
+          socket.send(JSON.stringify({ type: 'bulb_health', bulbs: lights.bulbs() }));
+        }
+        socket.send(JSON.stringify({ type: 'fx_state', ...effects.getState() }));
+        socket.send(JSON.stringify({ type: 'house_lights', on: appState.houseLights, saved: snapshot.size() }));
+        socket.send(JSON.stringify({
+          type:    'light_options',
+          // Hue and other non-WiZ drivers can't play WiZ's built-in scenes
+          scenes:  lights.scenes === false ? [] : Object.entries(WIZ_SCENES).map(([id, name]) => ({ id: Number(id), name })),
+          tempMin: WIZ_TEMP_MIN,
+          tempMax: WIZ_TEMP_MAX,
+        }));
+        // Who's muted, what's held and what the filter caught are for moderators only
+        if (allowed(socket, 'moderate')) {
+          socket.send(JSON.stringify({ type: 'moderation', ...moderationState() }));
+          socket.send(JSON.stringify({ type: 'pending', items: appState.pending }));
+          socket.send(JSON.stringify({ type: 'filter_log', items: appState.filtered }));
+        }
+        if (replay) socket.send(JSON.stringify({ type: 'replay_state', ...replay.getState() }));
+        break;
+      }
+
+      case 'host_color': {
+        if (!allowed(socket, 'lights')) return;
+        const brightness = sanitizeBrightness(msg.brightness);
+
+        // One of: a white (temp), a built-in WiZ scene (sceneId) or a color (hex)
+        let look, hex, owner = presenter;
+        if (msg.sceneId !== undefined) {
+          const sceneId = sanitizeSceneId(msg.sceneId);
+          if (!sceneId) return;
+          look  = { sceneId, brightness };
+          hex   = appState.roomColorHex; // the bulb animates it — screens keep the last color
+          owner = `${presenter} · ${WIZ_SCENES[sceneId]}`;
+        } else if (msg.temp !== undefined) {
+          const temp = sanitizeTemp(msg.temp);
+          if (!temp) return;
+          look  = { temp, brightness };
+          hex   = tempToHex(temp);
+          owner = `${presenter} · ${temp}K`;
+        } else {
+          hex = sanitizeHex(msg.hex);
+          if (!hex) return;
+          look = { hex, brightness };
+        }
+
+        // Host color overrides every zone at once
+        paintRoom(look, hex, owner);
+        broadcast({ type: 'color', name: presenter, hex });
+        if (colorModes.getMode() !== 'last') broadcast({ type: 'room_color', hex, zone: null, owner: presenter });
+        break;
+      }
+
+      case 'mode': {
+        if (!allowed(socket, 'stage')) return;
+        const mode = sanitizeMode(msg.mode);
+        if (!mode) return;
+
+        appState.mode = mode;
+        logEvent('mode', { mode });
+        effects.setAmbient(mode === 'ambient');
+        broadcast({ type: 'mode', mode });
+
+        if (mode === 'demo') {
+          broadcast({ type: 'demo_start' });
+        }
+        break;
+      }
+
+      case 'slide_goto': {
+        if (!allowed(socket, 'stage')) return;
+        // Do nothing if there are no slides — avoids broadcasting a
+        // meaningless index that causes renderSlide(undefined) on clients.
+        if (appState.slides.length === 0) return;
+        const idx = parseInt(msg.index, 10);
+        if (isNaN(idx) || idx < 0) return;
+        // Clamp to valid range
+        const clampedIdx = Math.min(idx, appState.slides.length - 1);
+        appState.currentSlideIndex = clampedIdx;
+        logEvent('slide', { index: clampedIdx });
+        broadcast({ type: 'slide_goto', index: clampedIdx });
+        break;
+      }
+
+      case 'slides_reload': {
+        // Host reloaded slides after saving — refresh in-memory state
+        if (!allowed(socket, 'content')) return;
+        appState.slides = loadSlides();
+        appState.currentSlideIndex = 0;
+        logEvent('slide', { index: 0 });
+        // Broadcast updated slides to all students
+        broadcast({ type: 'slides_updated', slides: appState.slides, currentSlideIndex: 0 });
+        break;
+      }
+
+      case 'color_mode': {
+        if (!allowed(socket, 'lights')) return;
+        const mode = sanitizeColorMode(msg.mode);
+        if (!mode) return;
+
+        const wasSpotlight = colorModes.getMode() === 'spotlight';
+        colorModes.setMode(mode);
+        appState.colorMode = mode;
+        logEvent('color_mode', { mode });
+        broadcast({ type: 'color_mode', mode });
+        // Entering spotlight queues everyone present, in the order they arrived
+        if ((mode === 'spotlight') !== wasSpotlight) {
+          spotlight.setActive(mode === 'spotlight', studentIds());
+        }
+        break;
+      }
+
+      case 'spotlight_skip': {
+        if (!allowed(socket, 'lights')) return;
+        spotlight.skip();
+        break;
+      }
+
+      case 'spotlight_pin': {
+        if (!allowed(socket, 'lights')) return;
+        // null unpins; otherwise the sid must be someone in the queue (checked by spotlight.pin)
+        spotlight.pin(msg.sid === null ? null : sanitize(msg.sid, 32) || null);
+        break;
+      }
+
+      case 'rescan': {
+        if (!allowed(socket, 'lights')) return;
+        rescan();
+        break;
+      }
+
+      case 'replay_control': {
+        if (!allowed(socket, 'content') || !replay) return;
+        if (msg.speed !== undefined) replay.setSpeed(Number(msg.speed));
+        if (msg.action === 'play')    replay.play();
+        if (msg.action === 'pause')   replay.pause();
+        if (msg.action === 'restart') {
+          // The recording's questions come round again — don't list them twice
+          appState.questions = [];
+          appState.voters.clear();
+          appState.questionSpotlight = null;
+          appState.textResponses = [];
+          replay.restart();
+        }
+        pushReplayState();
+        break;
+      }
+
+      case 'question_hide': {
+        if (!allowed(socket, 'moderate') || typeof msg.id !== 'string') return;
+        const before = appState.questions.length;
+        appState.questions = appState.questions.filter(q => q.id !== msg.id);
+        if (appState.questions.length === before) return;
+        appState.voters.delete(msg.id);
+        logEvent('question_hide', { id: msg.id });
+        broadcast({ type: 'question_hidden', id: msg.id });
+        if (appState.questionSpotlight === msg.id) setQuestionSpotlight(null);
+        break;
+      }
+
+      // "Answering now": the question full screen on the phones; tint also
+      // paints the room in the asker's color (needs the lights permission)
+      case 'question_spotlight': {
+        if (!allowed(socket, 'stage')) return;
+        if (msg.id === null) {
+          setQuestionSpotlight(null);
+          return;
+        }
+        const q = appState.questions.find(e => e.id === msg.id);
+        if (!q) return;
+        setQuestionSpotlight(q);
+        if (msg.tint && allowed(socket, 'lights')) {
+          paintRoom({ hex: q.hex }, q.hex, q.name);
+          broadcast({ type: 'room_color', hex: q.hex, zone: null, owner: q.name });
+        }
+        break;
+      }
+
+      case 'question_answered': {
+        if (!allowed(socket, 'moderate')) return;
+        const q = appState.questions.find(e => e.id === msg.id);
+        if (!q) return;
+        q.answered = Boolean(msg.answered);
+        // Answered drops to the bottom of the board — a pin would hold it at the top
+        if (q.answered) q.pinned = false;
+        logEvent('question_answered', { id: q.id, answered: q.answered });
+        pushQuestion(q);
+        // Answered is done answering
+        if (q.answered && appState.questionSpotlight === q.id) setQuestionSpotlight(null);
+        break;
+      }
+
+      // One question pinned at a time — pinning another unpins it
+      case 'question_pin': {
+        if (!allowed(socket, 'moderate')) return;
+        const q = appState.questions.find(e => e.id === msg.id);
+        if (!q) return;
+        const pinned = Boolean(msg.pinned);
+        if (pinned) {
+          appState.questions.forEach(other => {
+            if (!other.pinned || other === q) return;
+            other.pinned = false;
+            pushQuestion(other);
+          });
+          q.answered = false;
+        }
+        q.pinned = pinned;
+        logEvent('question_pin', { id: q.id, pinned });
+        pushQuestion(q);
+        break;
+      }
+
+      case 'kick': {
+        if (!allowed(socket, 'moderate') || !appState.students.has(msg.sid)) return;
+        kickStudent(msg.sid);
+        pushModeration();
+        break;
+      }
+
+      case 'mute': {
+        if (!allowed(socket, 'moderate') || !appState.students.has(msg.sid)) return;
+        const { sid } = msg;
+        const muted = msg.muted !== false;
+        if (muted === moderation.muted.has(sid)) return;
+        if (muted) moderation.muted.add(sid);
+        else moderation.muted.delete(sid);
+        logEvent('mute', { sid, muted });
+        sendToStudent(sid, { type: 'muted', muted });
+        pushModeration();
+        break;
+      }
+
+      case 'rename': {
+        if (!allowed(socket, 'moderate')) return;
+        const student = appState.students.get(msg.sid);
+        const to = sanitize(msg.to);
+        if (!student || !to || to.replace(/\s/g, '').length < 1 || to === student.name) return;
+        const from = student.name;
+        renameStudent(msg.sid, to);
+        logEvent('rename', { sid: msg.sid, from, to });
+        broadcast({ type: 'renamed', sid: msg.sid, from, to });
+        pushZones();
+        broadcastToViewers({ type: 'room_layout', zones: roomLayout() });
+        pushModeration();
+        break;
+      }
+
+      case 'premod': {
+        if (!allowed(socket, 'moderate')) return;
+        const on = msg.on === true;
+        if (on === moderation.premod) return;
+        moderation.premod = on;
+        logEvent('premod', { on });
+        console.log(`[mod] Pre-moderation ${on ? 'on' : 'off'}${tag}`);
+        pushModeration();
+        break;
+      }
+
+      // Approve or reject one held submission
+      case 'review': {
+        if (!allowed(socket, 'moderate')) return;
+        const item = appState.pending.find(p => p.id === msg.id);
+        if (!item) return;
+        appState.pending = appState.pending.filter(p => p !== item);
+        logEvent('review', { id: item.id });
+        const { type, ...entry } = item;
+        if (msg.approve === true) publish(type, entry);
+        else sendToStudent(entry.sid, { type: 'rejected', id: entry.id });
+        pushPending();
+        break;
+      }
+
+      case 'lock': {
+        if (!allowed(socket, 'moderate')) return;
+        const locked = msg.locked === true;
+        if (locked === moderation.locked) return;
+        moderation.locked = locked;
+        logEvent('lock', { locked });
+        console.log(`[mod] Room ${locked ? 'locked' : 'unlocked'}${tag}`);
+        pushModeration();
+        break;
+      }
+
+      case 'house_lights': {
+        if (!allowed(socket, 'lights')) return;
+        const on = msg.on === true;
+        if (on === appState.houseLights) return;
+        appState.houseLights = on;
+        logEvent('house_lights', { on });
+
+        // Effects keep tracking zone colors while paused, so "off" resumes
+        // straight onto whatever the room color is by then
+        if (on) {
+          effects.pause();
+          const n = snapshot.restore();
+          console.log(`[lights] House lights up — restored ${n} bulb(s) to their pre-talk state`);
+        } else {
+          effects.resume();
+          console.log('[lights] House lights down — back to the room color');
+        }
+        broadcastToHosts({ type: 'house_lights', on, saved: snapshot.size() });
+        break;
+      }
+
+      case 'fx_scene': {
+        if (!allowed(socket, 'lights')) return;
+        // null / 'off' stops the scene and fades back to the zone colors
+        const off   = msg.scene === null || msg.scene === 'off';
+        const scene = off ? null : sanitizeScene(msg.scene);
+        if (!off && !scene) return;
+
+        effects.setScene(scene);
+        saveFx();
+        break;
+      }
+
+      case 'fx_options': {
+        if (!allowed(socket, 'lights')) return;
+        effects.setOptions({
+          fadeMs:  Number.isFinite(msg.fadeMs) ? msg.fadeMs : undefined,
+          pulse:   typeof msg.pulse === 'boolean' ? msg.pulse : undefined,
+          breathe: typeof msg.breathe === 'boolean' ? msg.breathe : undefined,
+        });
+        saveFx();
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  // ─── Students ──────────────────────────────────────────────────────────────
+  // A student is their sid (see DEVICE_RE). Joining again from the same phone —
+  // a reconnect, a reload, a second tab — is the same student: same zone, same
+  // place in the spotlight queue, and their colors-sent count carries on.
+
+  function admit(socket, { device, sid, name, hex, team }) {
+    const client = appState.clients.get(socket);
+    const known = appState.students.get(sid);
+    // renamed: a moderator picked this name — joining again can't change it (see 'join')
+    appState.students.set(sid, { name, hex, colorsSent: known?.colorsSent ?? 0, renamed: known?.renamed ?? false });
+    if (known && known.name !== name) console.log(`[ws] ${known.name} is back as ${name}${tag}`);
+
+    client.sid  = sid;
+    client.name = name;
+    client.hex  = hex;
+
+    // Assign a zone (round-robin or by ?team=) — a rejoin keeps the same one
+    const zone = zones.assign(sid, team);
+    client.zone = zone.id;
+
+    // The join color counts as the student's first pick — in 'last' mode
+    // that fires their bulbs immediately
+    if (colorModes.getMode() === 'spotlight') spotlight.add(sid);
+    else colorModes.pick(zone.id, sid, { hex }, name);
+
+    // Confirm to sender — the device secret is for this phone's localStorage only
+    const { colorsSent } = appState.students.get(sid);
+    const voted = [...appState.voters].filter(([, sids]) => sids.has(sid)).map(([qid]) => qid);
+    socket.send(JSON.stringify({ type: 'joined', count: studentCount(), sid, device, name, hex, colorsSent, voted }));
+    if (moderation.muted.has(sid)) socket.send(JSON.stringify({ type: 'muted', muted: true }));
+
+    logEvent('join', { sid, name, hex });
+
+    // Broadcast join to everyone
+    broadcast({ type: 'join', sid, name, hex, zone: zone.id, count: studentCount() });
+    pushZones();
+  }
+
+  // ─── Moderation ────────────────────────────────────────────────────────────
+  // Moderators (see roles.js) can kick, mute and rename students and lock the
+  // room. All of it is checked here, on the server — a phone that ignores a
+  // kick or a mute still can't get past handleMessage.
+
+  /** @returns {{ reason, until? }|null} why student `sid` can't join right now from `client`'s socket */
+  function joinRefusal(sid, client) {
+    if (client.kickedUntil > Date.now()) return { reason: 'kicked', until: client.kickedUntil };
+    const kick = moderation.kicked.get(sid);
+    if (kick?.until > Date.now()) return { reason: 'kicked', until: kick.until };
+    if (kick) moderation.kicked.delete(sid);
+    if (moderation.locked && !appState.students.has(sid)) return { reason: 'locked' };
+    return null;
+  }
+
+  // Out of the room, back to a bare socket on the join screen. Until the
+  // cooldown ends the phone's device secret is refused under any name, and so
+  // is that socket even without one. A phone that clears its storage and
+  // reconnects is a new student as far as the server can tell — addresses
+  // aren't used, since a whole classroom can share one.
+  function kickStudent(sid) {
+    const until = Date.now() + KICK_COOLDOWN_MS;
+    const { name } = appState.students.get(sid);
+    moderation.kicked.set(sid, { name, until });
+    logEvent('kick', { sid, name, until });
+
+    let present = false;
+    appState.clients.forEach((c, socket) => {
+      if (c.sid !== sid) return;
+      present = true;
+      c.kickedUntil = until;
+      c.sid = null;
+      c.name = null;
+      c.zone = null;
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'kicked', until }));
+    });
+    // Not here right now still counts — the cooldown stops them coming back
+    if (present) {
+      spotlight.remove(sid);
+      logEvent('leave', { sid, name });
+      broadcast({ type: 'leave', sid, name, count: studentCount() });
+      pushZones();
+    }
+    console.log(`[mod] Kicked ${name}${tag} for ${KICK_COOLDOWN_MS / 60000} min`);
+  }
+
+  // The old name goes from everywhere it shows: sockets, feeds, the export
+  // timeline and bulb owners
+  function renameStudent(sid, to) {
+    const student = appState.students.get(sid);
+    const from = student.name;
+    student.name = to;
+    student.renamed = true;
+    const swap = entry => { if (entry.sid === sid) entry.name = to; };
+    appState.clients.forEach(swap);
+    appState.questions.forEach(swap);
+    appState.textResponses.forEach(swap);
+    appState.pending.forEach(swap);
+    appState.filtered.forEach(swap);
+    appState.history.forEach(swap);
+    const kick = moderation.kicked.get(sid);
+    if (kick) kick.name = to;
+
+    zones.list().forEach(z => { if (z.owner === from) zones.paint(z.id, z.hex, to); });
+    if (spotlight.getState().queue.includes(sid)) broadcast({ type: 'spotlight', ...spotlightState() });
+    console.log(`[mod] Renamed ${from} → ${to}${tag}`);
+  }
+
+  function sendToStudent(sid, msg) {
+    const str = JSON.stringify(msg);
+    appState.clients.forEach((c, socket) => {
+      if (c.sid === sid && socket.readyState === WebSocket.OPEN) socket.send(str);
+    });
+  }
+
+  function moderationState() {
+    const now = Date.now();
+    return {
+      locked: moderation.locked,
+      premod: moderation.premod,
+      muted:  [...moderation.muted],
+      kicked: [...moderation.kicked].filter(([, k]) => k.until > now).map(([sid, k]) => ({ sid, ...k })),
+    };
+  }
+
+  function pushModeration() {
+    broadcastToPermitted('moderate', { type: 'moderation', ...moderationState() });
+  }
+
+  // ─── Questions and text responses ──────────────────────────────────────────
+  // Through the word filter, then straight out to everyone, or — with
+  // pre-moderation on, or a filter rule that holds — into the pending queue
+  // until a moderator approves them. Only published entries are kept in
+  // appState.questions / textResponses, so only they reach welcome and export.
+
+  function submit(socket, type, text) {
+    const client = appState.clients.get(socket);
+    const hit = screen(type, client, text);
+    if (hit?.action === 'reject') {
+      socket.send(JSON.stringify({ type: 'filtered', kind: type, text, action: 'reject' }));
+      return;
+    }
+
+    // The id lets moderators review or hide it later
+    const entry = {
+      id: crypto.randomBytes(6).toString('base64url'),
+      sid: client.sid,
+      name: client.name,
+      text: hit ? hit.text : text,
+      hex: client.hex,
+      at: Date.now(),
+    };
+    if (type === 'question') Object.assign(entry, { votes: 0, answered: false, pinned: false });
+    // The phone shows what it typed — tell it what everyone else will see
+    if (entry.text !== text) {
+      socket.send(JSON.stringify({ type: 'filtered', kind: type, text, action: hit.action, masked: entry.text }));
+    }
+    if (moderation.premod || hit?.action === 'hold') holdForReview(socket, type, entry);
+    else publish(type, entry);
+  }
+
+  function publish(type, entry) {
+    const list = type === 'question' ? appState.questions : appState.textResponses;
+    list.push(entry);
+    // Cap in-memory storage so it doesn't grow unbounded across a long session
+    if (list.length > 200) appState.voters.delete(list.shift().id);
+    logEvent(type === 'question' ? 'question' : 'text', { entry });
+    broadcast({ type, ...entry });
+  }
+
+  // Votes, answered or pinned changed — every board re-sorts (see rankQuestions)
+  function pushQuestion(q) {
+    broadcast({ type: 'question_update', id: q.id, votes: q.votes ?? 0, answered: Boolean(q.answered), pinned: Boolean(q.pinned) });
+  }
+
+  /** @param {object|null} q — the question being answered now; null ends it */
+  function setQuestionSpotlight(q) {
+    const qid = q?.id ?? null;
+    if (appState.questionSpotlight === qid) return;
+    appState.questionSpotlight = qid;
+    logEvent('question_spotlight', { id: qid });
+    if (q) console.log(`[qa] Answering now: ${q.name}'s question${tag}`);
+    broadcast({ type: 'question_spotlight', ...questionSpotlightState() });
+  }
+
+  function questionSpotlightState() {
+    const q = appState.questions.find(e => e.id === appState.questionSpotlight);
+    if (!q) return { id: null };
+    const { id, sid, name, text, hex } = q;
+    return { id, sid, name, text, hex };
+  }
+
+  function holdForReview(socket, type, entry) {
+    appState.pending.push({ type, ...entry });
+    if (appState.pending.length > 200) appState.pending.shift();
+    logEvent('pending', { entry: { type, ...entry } });
+    // The phone already shows it — tell it to mark it as waiting
+    socket.send(JSON.stringify({ type: 'held', kind: type, id: entry.id, text: entry.text }));
+    pushPending();
+  }
+
+  function pushPending() {
+    broadcastToPermitted('moderate', { type: 'pending', items: appState.pending });
+  }
+
+  // ─── Word filter ───────────────────────────────────────────────────────────
+  // Names, questions and text responses go through the room's word filter
+  // (see filter.js). Whatever it catches lands on the hosts' filter log with
+  // the text as it was sent, so a moderator can see what was masked or
+  // refused and act on the student.
+
+  /**
+   * @param {object} from — { sid, name } of the student it came from
+   * @returns {{ action, text, words }|null} the filter's verdict, null if it's clean
+   */
+  function screen(kind, { sid, name }, text) {
+    const hit = filter.check(text);
+    if (!hit) return null;
+    const entry = { kind, sid, name, text, action: hit.action, words: hit.words, at: Date.now() };
+    appState.filtered.push(entry);
+    if (appState.filtered.length > 200) appState.filtered.shift();
+    logEvent('filtered', { entry });
+    console.log(`[filter] ${hit.action}: ${kind.replace('_', ' ')} from ${name}${tag}`);
+    broadcastToPermitted('moderate', { type: 'filter_log', items: appState.filtered });
+    return hit;
+  }
+
+  // ─── Broadcast helpers ─────────────────────────────────────────────────────
+
+  function broadcast(msg, excludeSocket = null) {
+    eventLog.record({ dir: 'out', to: 'all', origin: messageOrigin, msg });
+    const str = JSON.stringify(msg);
+    appState.clients.forEach((_, socket) => {
+      if (socket !== excludeSocket && socket.readyState === WebSocket.OPEN) {
+        socket.send(str);
+      }
+    });
+  }
+
+  function broadcastToHosts(msg) {
+    eventLog.record({ dir: 'out', to: 'hosts', origin: messageOrigin, msg });
+    const str = JSON.stringify(msg);
+    appState.clients.forEach((c, socket) => {
+      if (c.isHost && socket.readyState === WebSocket.OPEN) {
+        socket.send(str);
+      }
+    });
+  }
+
+  // Hosts whose role has `permission` (see roles.js) — for host-only state
+  // that's more than the rest of the team should see
+  function broadcastToPermitted(permission, msg) {
+    eventLog.record({ dir: 'out', to: `hosts:${permission}`, origin: messageOrigin, msg });
+    const str = JSON.stringify(msg);
+    appState.clients.forEach((c, socket) => {
+      if (allowed(socket, permission) && socket.readyState === WebSocket.OPEN) {
+        socket.send(str);
+      }
+    });
+  }
+
+  function broadcastToViewers(msg) {
+    eventLog.record({ dir: 'out', to: 'viewers', origin: messageOrigin, msg });
+    const str = JSON.stringify(msg);
+    appState.clients.forEach((c, socket) => {
+      if (c.isViewer && socket.readyState === WebSocket.OPEN) {
+        socket.send(str);
+      }
+    });
+  }
+
+  // ─── Host sessions ─────────────────────────────────────────────────────────
+  // A host socket is only as good as the session it connected with: once that
+  // expires or is logged out, the socket goes back to being nobody.
+
+  function isHost(socket) {
+    const client = appState.clients.get(socket);
+    if (!client?.isHost) return false;
+    if (auth.isLive(client.session)) return true;
+    endHostSession(socket, client);
+    return false;
+  }
+
+  /** A live host socket whose role has `permission` (see roles.js). */
+  function allowed(socket, permission) {
+    return isHost(socket) && can(appState.clients.get(socket).session.role, permission);
+  }
+
+  /** REST counterpart of allowed(): answers 401 / 403 itself and returns true when refused. */
+  function refused(req, res, permission) {
+    const session = auth.fromRequest(req, id);
+    if (session && can(session.role, permission)) return false;
+    res.writeHead(session ? 403 : 401);
+    res.end(session ? 'Forbidden' : 'Unauthorized');
+    return true;
+  }
+
+  function roleForKey(key) {
+    if (typeof key !== 'string' || !key) return null;
+    return ROLES.find(role => ROLE_KEYS[role] && sameKey(key, ROLE_KEYS[role])) ?? null;
+  }
+
+  // An invite link carries its role, signed (see host-auth.js) — good while
+  // the room still has that role
+  function roleForInvite(token) {
+    const role = auth.redeem(token, id);
+    return role && ROLE_KEYS[role] ? role : null;
+  }
+
+  /**
+   * Links that log a co-host or moderator straight in (host.js reads ?invite=).
+   * Fresh expiring tokens each call — never the role keys themselves.
+   * @returns {{ cohost, moderator, exp }} a link is null for a role the room doesn't have
+   */
+  function invites() {
+    // cookiePath doubles as the room's URL prefix: '/' for main, '/r/<id>' otherwise
+    const base = cookiePath === '/' ? '' : cookiePath;
+    const issue = role => (ROLE_KEYS[role] ? auth.invite(id, role) : null);
+    const issued = { cohost: issue('cohost'), moderator: issue('moderator') };
+    const link = inv => (inv ? `${base}/host?invite=${encodeURIComponent(inv.token)}` : null);
+    return {
+      cohost:    link(issued.cohost),
+      moderator: link(issued.moderator),
+      exp:       (issued.cohost ?? issued.moderator)?.exp ?? null,
+    };
+  }
+
+  function endHostSession(socket, client) {
+    client.isHost = false;
+    client.name   = null;
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'session_expired' }));
+  }
+
+  // Expired dashboards find out even when nobody touches them
+  function sweepHostSessions() {
+    appState.clients.forEach((c, socket) => { if (c.isHost) isHost(socket); });
+  }
+
+  // Students in the room right now, in the order they arrived — one per sid,
+  // however many tabs they have open
+  function studentIds() {
+    return [...new Set([...appState.clients.values()].filter(c => c.sid).map(c => c.sid))];
+  }
+
+  function findStudent(sid) {
+    return [...appState.clients.values()].find(c => c.sid === sid) ?? null;
+  }
+
+  function studentCount() {
+    return studentIds().length;
+  }
+
+  // ─── REST ──────────────────────────────────────────────────────────────────
+  // Paths are relative to the room: /r/<id>/api/slides arrives as /api/slides.
+
+  /** @returns {boolean} true if this was a room endpoint and it has been answered */
+  function handleRequest(req, res, pathname) {
+    // ── REST: host login — the key buys a session cookie (+ the token, for scripts) ──
+    const secure = Boolean(req.socket.encrypted) || req.headers['x-forwarded-proto'] === 'https';
+
+    if (req.method === 'GET' && pathname === '/auth') {
+      const session = auth.fromRequest(req, id);
+      res.writeHead(session ? 200 : 401, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify(session ? { ok: true, exp: session.exp, role: session.role } : { ok: false }));
+      return true;
+    }
+
+    if (req.method === 'POST' && pathname === '/auth/logout') {
+      const session = auth.fromRequest(req, id);
+      if (session) {
+        auth.revoke(session);
+        appState.clients.forEach((c, socket) => {
+          if (c.isHost && c.session?.sid === session.sid) endHostSession(socket, c);
+        });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': auth.cookieHeader(id, cookiePath, null, secure) });
+      res.end(JSON.stringify({ ok: true }));
+      return true;
+    }
+
+    // Anyone can reach this — the body is capped before the key is even parsed
+    if (req.method === 'POST' && pathname === '/auth') {
+      readBody(req, res, 1024, body => {
+        try {
+          const { key, invite } = JSON.parse(body);
+          // Which of the room's keys it is decides the role (see roles.js)
+          const role = key === undefined ? roleForInvite(invite) : roleForKey(key);
+          if (role) {
+            const issued = auth.issue(id, role);
+            res.writeHead(200, {
+              'Content-Type': 'application/json',
+              'Cache-Control': 'no-store',
+              'Set-Cookie': auth.cookieHeader(id, cookiePath, issued, secure),
+            });
+            res.end(JSON.stringify({ ok: true, token: issued.token, exp: issued.exp, role }));
+          } else {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false }));
+          }
+        } catch {
+          res.writeHead(400);
+          res.end();
+        }
+      });
+      return true;
+    }
+
+    // ── REST: slides ──
+    if (pathname === '/api/slides') {
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+        res.end(JSON.stringify(appState.slides));
+        return true;
+      }
+      if (req.method === 'POST') {
+        // Host session required (see host-auth.js), with a role that edits content
+        if (refused(req, res, 'content')) return true;
+        readBody(req, res, MAX_UPLOAD_BYTES, body => {
+          try {
+            const slides = JSON.parse(body);
+            if (!Array.isArray(slides)) { res.writeHead(400); res.end('Must be an array'); return; }
+            // Validate each slide is a plain object (not a string/number/null) to prevent
+            // corrupted data from breaking renderSlide() on student clients.
+            for (const slide of slides) {
+              if (!slide || typeof slide !== 'object' || Array.isArray(slide)) {
+                res.writeHead(400); res.end('Each slide must be an object'); return;
+              }
+            }
+            appState.slides = slides;
+            saveSlides(slides);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, count: slides.length }));
+          } catch {
+            res.writeHead(400); res.end('Invalid JSON');
+          }
+        });
+        return true;
+      }
+    }
+
+    // ── REST: script ──
+    if (req.method === 'POST' && pathname === '/api/script') {
+      if (refused(req, res, 'content')) return true;
+      readBody(req, res, MAX_UPLOAD_BYTES, body => {
+        try {
+          fs.mkdirSync(path.dirname(SCRIPT_PATH), { recursive: true });
+          fs.writeFileSync(SCRIPT_PATH, body, 'utf8');
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true }));
+        } catch {
+          res.writeHead(500); res.end('Error saving script');
+        }
+      });
+      return true;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/script') {
+      if (!fs.existsSync(SCRIPT_PATH)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Script not found');
+        return true;
+      }
+      try {
+        const scriptContent = fs.readFileSync(SCRIPT_PATH, 'utf8');
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-cache' });
+        res.end(scriptContent);
+      } catch {
+        res.writeHead(500); res.end('Error reading script');
+      }
+      return true;
+    }
+
+    // ── REST: invite links for the other roles (presenter only) ──
+    if (req.method === 'GET' && pathname === '/api/invites') {
+      if (refused(req, res, 'team')) return true;
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify(invites()));
+      return true;
+    }
+
+    // ── REST: state snapshot ──
+    if (req.method === 'GET' && pathname === '/state') {
+      // Same rule as the socket (BULB_PERMISSION) — a host session that runs
+      // the lights gets the registry too
+      const session = auth.fromRequest(req, id);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        mode: appState.mode,
+        roomColorHex: appState.roomColorHex,
+        colorMode: colorModes.getMode(),
+        totalColorChanges: appState.totalColorChanges,
+        count: studentCount(),  // was appState.clients.size — included host connections
+        ...(session && can(session.role, BULB_PERMISSION) ? { bulbs: lights.bulbs() } : {}),
+      }));
+      return true;
+    }
+
+    // ── REST: post-talk export (host only) ──
+    //   /api/export             — whole session as a JSON archive
+    //   /api/export/<stream>.csv — questions · responses · colors · reactions · attendance
+    //   /api/export/report      — printable HTML summary
+    if (req.method === 'GET' && (pathname === '/api/export' || pathname.startsWith('/api/export/'))) {
+      if (refused(req, res, 'content')) return true;
+      const archive = buildArchive(appState);
+      const stamp = `${id === 'main' ? '' : `${id}-`}${new Date().toISOString().slice(0, 10)}`;
+      const csvMatch = pathname.match(/^\/api\/export\/(\w+)\.csv$/);
+
+      if (pathname === '/api/export') {
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="light-room-${stamp}.json"`,
+        });
+        res.end(JSON.stringify(archive, null, 2));
+      } else if (pathname === '/api/export/report') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(renderReport(archive));
+      } else if (csvMatch && toCsv(archive, csvMatch[1]) !== null) {
+        res.writeHead(200, {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="light-room-${stamp}-${csvMatch[1]}.csv"`,
+        });
+        // BOM so Excel reads names and emoji as UTF-8
+        res.end('\uFEFF' + toCsv(archive, csvMatch[1]));
+      } else {
+        res.writeHead(404); res.end('Unknown export');
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  // ─── Lifecycle ───────────────────────────────────────────────────────────────
+
+  const timers = [];
+  let slidesWatcher = null;
+  let closed = false;
+
+  /** @returns {Promise<string[]>} the first discovery round — ids of the bulbs found */
+  function start() {
+    colorModes.start();
+    spotlight.start();
+
+    // The bulbs' pre-talk state is saved before anything is sent to them:
+    // first the configured bulbs, then whatever discovery finds (rescan saves
+    // those). Effects are the only way out to the bulbs, so they start last —
+    // students who pick before then just have their color waiting.
+    // Auto-discover WiZ bulbs via broadcast (mirrors test.py approach)
+    // Anything found is merged into the driver's bulb registry and unicast to from then on.
+    const discovered = captureSnapshot()
+      .then(() => rescan())
+      .then(ips => {
+        syncZones();
+        effects.start();
+        return ips;
+      });
+
+    // Report the previous round's results, then poll again
+    timers.push(setInterval(() => {
+      pushBulbHealth();
+      lights.poll();
+    }, BULB_POLL_MS));
+
+    if (DISCOVERY_INTERVAL_MS > 0) timers.push(setInterval(rescan, DISCOVERY_INTERVAL_MS));
+
+    timers.push(setInterval(sweepHostSessions, 60 * 1000));
+
+    // Replay starts straight away; hosts get the clock once a second while it runs
+    if (replay) {
+      replay.play();
+      timers.push(setInterval(() => {
+        if (!replay.getState().paused) pushReplayState();
+      }, 1000));
+    }
+
+    // Watch for changes in slides.json and reload
+    if (fs.existsSync(SLIDES_PATH)) {
+      slidesWatcher = fs.watch(SLIDES_PATH, (eventType, filename) => {
+        if (filename && eventType === 'change') {
+          console.log(`[slides] ${path.basename(SLIDES_PATH)}${tag} changed, reloading...`);
+          appState.slides = loadSlides();
+          appState.currentSlideIndex = 0;
+          logEvent('slide', { index: 0 });
+          broadcast({ type: 'slides_updated', slides: appState.slides, currentSlideIndex: 0 });
+        }
+      });
+    }
+    return discovered;
+  }
+
+  /**
+   * Stop the room: save its state, put the bulbs back and disconnect everyone.
+   * @param {object} [opts]
+   * @param {string} [opts.reason] — sent to clients in 'room_closed'; omit on server shutdown
+   * @returns {number} ms to wait before closing the driver, so restore packets get out
+   */
+  function close({ reason } = {}) {
+    if (closed) return 0;
+    session.compact();
+    closed = true;
+    eventLog.close();
+    replay?.stop();
+    effects.stop();
+    colorModes.stop();
+    spotlight.stop();
+    timers.forEach(clearInterval);
+    slidesWatcher?.close();
+    if (reason) {
+      const str = JSON.stringify({ type: 'room_closed', reason });
+      appState.clients.forEach((_, socket) => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(str);
+        socket.close(1000, 'Room closed');
+      });
+    }
+    const restored = snapshot.restore();
+    if (restored) console.log(`  Restored ${restored} bulb(s)${tag} to their pre-talk state.`);
+    return restored ? RESTORE_FLUSH_MS : 0;
+  }
+
+  /** What the admin list shows — no host key. */
+  function info() {
+    return {
+      id,
+      title,
+      mode:     appState.mode,
+      students: studentCount(),
+      lights:   lights.name,
+      bulbs:    lights.bulbs().length,
+    };
+  }
+
+  return { id, title, attach, handleRequest, start, close, info, invites, eventLogFile: eventLog.file, replay };
+}
+
+// ─── Q&A board order ───────────────────────────────────────────────────────
+// The pinned question, then open questions by votes, then answered ones;
+// ties go to the newest so a fresh question isn't buried under old ones.
+// app.js and host.js sort their boards the same way.
+
+function rankQuestions(questions) {
+  const rank = q => (q.pinned ? 0 : q.answered ? 2 : 1);
+  return [...questions].sort((a, b) =>
+    rank(a) - rank(b) || (b.votes ?? 0) - (a.votes ?? 0) || (b.at ?? 0) - (a.at ?? 0));
+}
+
+// ─── Sanitizers ────────────────────────────────────────────────────────────
+
+function sanitize(str, maxLen = 100) {
+  if (typeof str !== 'string') return '';
+  // Strip angle brackets (XSS), newlines/carriage returns (terminal injection),
+  // and null bytes. Trim all Unicode whitespace (incl. NBSP \u00A0) and cap length.
+  return str
+    .replace(/^[\s\u00A0\u2000-\u200B\uFEFF]+|[\s\u00A0\u2000-\u200B\uFEFF]+$/g, '')
+    .slice(0, maxLen)
+    .replace(/[<>\n\r\0]/g, '');
+}
+
+function sanitizeHex(str) {
+  if (typeof str !== 'string') return null;
+  const match = str.trim().match(/^#[0-9A-Fa-f]{6}$/);
+  return match ? str.trim().toUpperCase() : null;
+}
+
+// WiZ dimming: integer 10–100. Anything else → null (= default brightness)
+function sanitizeBrightness(val) {
+  if (typeof val !== 'number' || !Number.isFinite(val)) return null;
+  return Math.round(Math.max(10, Math.min(100, val)));
+}
+
+// White color temperature in kelvin, clamped to what WiZ bulbs accept
+function sanitizeTemp(val) {
+  if (typeof val !== 'number' || !Number.isFinite(val) || val <= 0) return null;
+  return Math.round(Math.max(WIZ_TEMP_MIN, Math.min(WIZ_TEMP_MAX, val)));
+}
+
+function sanitizeSceneId(val) {
+  return Number.isInteger(val) && WIZ_SCENES[val] ? val : null;
+}
+
+function sanitizeEmoji(str) {
+  const ALLOWED = ['👀', '💡', '🔥', '😮'];
+  return ALLOWED.includes(str) ? str : null;
+}
+
+function sanitizeMode(str) {
+  const ALLOWED = ['lobby', 'color', 'ambient', 'photos', 'text', 'demo', 'qa', 'sendoff'];
+  return ALLOWED.includes(str) ? str : null;
+}
+
+function sanitizeColorMode(str) {
+  return COLOR_MODES.includes(str) ? str : null;
+}
+
+function sanitizeScene(str) {
+  return SCENES.includes(str) ? str : null;
+}
+
+function isDevice(val) {
+  return typeof val === 'string' && DEVICE_RE.test(val);
+}
+
+function studentId(device) {
+  return crypto.createHash('sha256').update(device).digest('base64url').slice(0, 16);
+}
+
+module.exports = { createRoom };
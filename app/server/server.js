@@ -16,89 +16,145 @@
  *   No cloud needed — works over LAN.
  *   Find your bulb IP in the WiZ app → Device Settings.
  *
+ * Light drivers (LIGHT_DRIVER env var, see lights/index.js):
+ *   wiz (default) · hue (Hue bridge: HUE_BRIDGE + HUE_APP_KEY) · artnet (DMX: ARTNET_FIXTURES) ·
+ *   console (log only) · sim (fake bulb on 127.0.0.1:SIM_PORT) · hue-sim (mock Hue bridge on 127.0.0.1)
+ *   Comma-separate to run several, e.g. LIGHT_DRIVER=wiz,artnet
+ *
+ * Rooms (see room.js): each talk is a room with its own state, slides, script
+ * and host key. The server starts with the default room, 'main', on the plain
+ * URLs; more can be opened through the admin API and live under /r/<id>:
+ *   /  /host  /room  /ws  /api/…        — main room
+ *   /r/<id>/  /r/<id>/host  /r/<id>/ws  — room <id>, same pages and endpoints
+ *   GET    /api/rooms                   — list open rooms
+ *   POST   /api/rooms                   — open one: { id?, title?, presenter?, hostKey?, cohostKey?, moderatorKey? }
+ *   DELETE /api/rooms/<id>              — close it (disconnects everyone)
+ *   (admin calls send `Authorization: Bearer <ADMIN_KEY>`; with ADMIN_KEY unset
+ *   the admin API is off and answers 403)
+ *
+ * Host auth (see host-auth.js): POST /auth { key } trades the room's host key
+ * for a signed session — an HttpOnly cookie, or the returned token as a bearer
+ * header. Host REST calls and the WebSocket upgrade carry it; host messages
+ * don't carry any key. GET /auth checks a session, POST /auth/logout ends it.
+ * HOST_SESSION_HOURS sets how long one lasts (default 6). POST /auth { invite }
+ * does the same with a signed invite link token instead of a key; INVITE_HOURS
+ * sets how long those work (default 24).
+ *
+ * Host roles (see roles.js): the key a host logs in with sets their role —
+ * HOST_KEY presenter, COHOST_KEY co-host, MODERATOR_KEY moderator. Unset, that
+ * role doesn't exist in the main room; opened rooms get all three keys.
+ *
  * WebSocket message schema (client → server):
- *   { type: 'join',          name, hex }
- *   { type: 'color',         name, hex }
+ *   { type: 'join',          name, hex, team?, device? } — device: the secret from an earlier 'joined'
+ *   { type: 'resume',        device, team? } — a phone that joined before: back as the same student
+ *   { type: 'color',         name, hex, brightness? }
  *   { type: 'reaction',      name, emoji }
  *   { type: 'text_response', name, text }
  *   { type: 'question',      name, text }
- *   { type: 'host_join',     key }
- *   { type: 'host_color',    hex, key }     — host only, skips student vote
- *   { type: 'mode',          mode, key }    — host only
+ *   { type: 'question_vote', id, vote }    — upvote a question (one per student); vote false takes it back
+ *   { type: 'host_join' }                  — needs a host session on the upgrade request
+ *   { type: 'viewer_join' }                — /room visualizer: send me room_layout updates
+ *   { type: 'host_color',    hex | temp | sceneId, brightness? } — host only, skips student vote;
+ *                                            temp = white in kelvin, sceneId = built-in WiZ scene
+ *   { type: 'mode',          mode }        — host only
+ *   { type: 'fx_scene',      scene }       — host only: 'rainbow' | 'party' | 'sunset' | null (off)
+ *   { type: 'fx_options',    fadeMs?, pulse?, breathe? } — host only
+ *   { type: 'color_mode',    mode }        — host only: 'last' | 'blend' | 'vote' | 'turns' | 'spotlight'
+ *   { type: 'spotlight_skip' }             — host only: end the current spotlight turn
+ *   { type: 'spotlight_pin', sid }         — host only: hold student `sid` in the spotlight; null unpins
+ *   { type: 'house_lights',  on }          — host only: bulbs back to their pre-talk state / resume
+ *   { type: 'rescan' }                     — host only: run bulb discovery now
+ *   { type: 'replay_control', action?, speed? } — host only, replay mode: 'play' | 'pause' | 'restart', speed 1 | 4
+ *   { type: 'question_hide', id }         — host only (moderate): take a question down
+ *   { type: 'question_answered', id, answered } — host only (moderate): drops it to the bottom of the board
+ *   { type: 'question_pin',  id, pinned }  — host only (moderate): hold it at the top; one pinned at a time
+ *   { type: 'question_spotlight', id, tint? } — host only (stage): "answering now", full screen on the phones;
+ *                                            id null ends it; tint (lights) paints the room the asker's color
+ *   { type: 'kick',          sid }         — host only (moderate): out, and no rejoining for 10 min
+ *   { type: 'mute',          sid, muted }  — host only (moderate): drop their questions / text responses
+ *   { type: 'rename',        sid, to }     — host only (moderate): rename a student everywhere
+ *   { type: 'lock',          locked }      — host only (moderate): no new students can join
+ *   { type: 'premod',        on }          — host only (moderate): hold questions / text responses for review
+ *   { type: 'review',        id, approve } — host only (moderate): publish or drop a held submission
+ *   (each host message needs a permission its role has — see roles.js)
  *
  * WebSocket message schema (server → client):
  *   { type: 'welcome',       mode, count, totalColorChanges, roomColor, photos, ... }
- *   { type: 'joined',        count }
- *   { type: 'join',          name, count }
- *   { type: 'color',         name, hex }
+ *   { type: 'joined',        count, sid, device, name, hex, colorsSent, voted } — device: keep it (localStorage) and send
+ *                                            it with every join; name as the server took it (the filter may mask it);
+ *                                            voted: ids of the questions this student upvoted
+ *   { type: 'join_refused',  reason, until? } — 'kicked' (until when) | 'locked' | 'name' (the word filter)
+ *   { type: 'kicked',        until }       — to the kicked phone: back to the join screen
+ *   { type: 'muted',         muted }       — to the muted (or unmuted) phone
+ *   { type: 'renamed',       sid, from, to }
+ *   { type: 'held',          kind, id, text } — to the sender: it's waiting for review
+ *   { type: 'rejected',      id }          — to the sender: a moderator turned it down
+ *   { type: 'filtered',      kind, text, action, masked? } — to the sender: the word filter masked (masked = what
+ *                                            everyone sees) or rejected its post
+ *   { type: 'join',          sid, name, hex, zone, count }
+ *   { type: 'leave',         sid, name, count } — sid null: only the count changed
+ *   { type: 'color',         sid, name, hex, zone }  — a student's pick
+ *   { type: 'room_color',    hex, zone, owner } — what a zone actually shows (non-'last' modes)
+ *   { type: 'color_mode',    mode }
+ *   { type: 'spotlight',     active, holder, queue, names, pinned, turnMs, remainingMs } — holder / queue are sids
  *   { type: 'reaction',      name, emoji }
- *   { type: 'text_response', name, text, hex }
- *   { type: 'question',      name, text, hex }
+ *   { type: 'text_response', id, sid, name, text, hex }
+ *   { type: 'question',      id, sid, name, text, hex, votes, answered, pinned }
+ *   { type: 'question_update', id, votes, answered, pinned } — re-sort the board
+ *   { type: 'voted',         id, vote }    — to the voter's phones: light / unlight the arrow
+ *   { type: 'question_hidden', id }        — a moderator took it down
+ *   { type: 'question_spotlight', id, sid?, name?, text?, hex? } — the question being answered; id null: none
  *   { type: 'mode',          mode }
  *   { type: 'demo_start' }
+ *   { type: 'zones',         zones }       — host only (lights): [{ id, bulbs, hex, owner, students }]
+ *   { type: 'room_layout',   zones }        — viewers only: [{ id, lights, hex, owner }], no bulb addresses
+ *   { type: 'bulb_health',   bulbs }       — host only (lights): driver.bulbs() snapshot
+ *   { type: 'light_options', scenes, tempMin, tempMax } — host only: what host_color accepts
+ *   { type: 'house_lights',  on, saved }   — host only: saved = bulbs with a pre-talk state
+ *   { type: 'rescan',        scanning, found? } — host only: discovery round started / finished
+ *   { type: 'bulb_join',     bulb }        — host only (lights): a bulb joined the registry
+ *   { type: 'bulb_leave',    id }          — host only (lights): a bulb was dropped from the registry
+ *   { type: 'fx_state',      scene, fadeMs, pulse, breathe } — host only
+ *   { type: 'replay_state',  file, speed, paused, positionMs, durationMs, events, played } — host only, replay mode
+ *   { type: 'room_closed',   reason }       — the admin closed this room; the socket closes next
+ *   { type: 'session_expired' }            — host session expired or logged out; log in again
+ *   { type: 'host_role',     role, permissions } — host only, after host_join: what this dashboard may do
+ *   { type: 'moderation',    locked, premod, muted, kicked } — host only (moderate): sids muted, [{ sid, name, until }] kicked
+ *   { type: 'pending',       items }       — host only (moderate): submissions held for review
+ *   { type: 'filter_log',    items }       — host only (moderate): what the word filter caught, [{ kind, sid, name, text, action, words, at }]
  */
 
 'use strict';
 
+
 const http    = require('http');
 const fs      = require('fs');
 const path    = require('path');
-const dgram   = require('dgram');
-const { WebSocketServer, WebSocket } = require('ws');
+const crypto  = require('crypto');
+const { WebSocketServer } = require('ws');
+const { createLightDriver } = require('./lights');
+const { createRoom } = require('./room');
+const { createHostAuth, sameKey } = require('./host-auth');
+const { createFilter } = require('./filter');
+const { latestEventLog } = require('./event-log');
+const { readBody } = require('./http-body');
+const { SPEEDS: REPLAY_SPEEDS } = require('./replay');
 
 // ─── Config ────────────────────────────────────────────────────────────────
 
 const PORT      = parseInt(process.env.PORT ?? '3000', 10);
 const HOST_KEY  = process.env.HOST_KEY ?? 'ashika';
+const ADMIN_KEY = process.env.ADMIN_KEY || undefined; // opens and closes rooms; unset, the admin API is off
+const COHOST_KEY    = process.env.COHOST_KEY || undefined;    // modes and slides (see roles.js)
+const MODERATOR_KEY = process.env.MODERATOR_KEY || undefined; // question moderation
+const PREMODERATE   = process.env.PREMODERATE === '1';         // every room starts holding submissions for review
+const HOST_SESSION_MS = parseFloat(process.env.HOST_SESSION_HOURS ?? '6') * 60 * 60 * 1000;
+const INVITE_MS       = parseFloat(process.env.INVITE_HOURS ?? '24') * 60 * 60 * 1000;
 const WIZ_IPS   = (process.env.WIZ_IPS ?? '').split(',').filter(Boolean);
 // Example: WIZ_IPS=192.168.1.100,192.168.1.101
-const WIZ_PORT  = 38899;
 
 const PUBLIC_DIR = path.join(__dirname, '../public');
-
-// ─── Slides ────────────────────────────────────────────────────────────────
-
-const SLIDES_PATH = path.join(__dirname, '../data/slides.json');
-
-function loadSlides() {
-  try {
-    if (!fs.existsSync(SLIDES_PATH)) return [];
-    const raw = fs.readFileSync(SLIDES_PATH, 'utf8');
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (err) {
-    console.warn('[slides] Could not load slides.json:', err.message);
-    return [];
-  }
-}
-
-function saveSlides(slides) {
-  const dataDir = path.dirname(SLIDES_PATH);
-  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
-  fs.writeFileSync(SLIDES_PATH, JSON.stringify(slides, null, 2), 'utf8');
-}
-
-// ─── App state ─────────────────────────────────────────────────────────────
-
-const appState = {
-  mode: 'lobby',
-  roomColorHex: '#FF6EB4',
-  totalColorChanges: 0,
-  clients: new Map(),   // ws → { name, hex, isHost, colorsSent }
-  questions: [],
-  textResponses: [],
-  photos: buildPhotoList(),
-  // Reaction totals — persisted so late-joining students and reconnecting host
-  // see accurate cumulative counts, not "0" for everything.
-  reactionCounts: { '👀': 0, '💡': 0, '🔥': 0, '😮': 0 },
-  // Slides — loaded from disk; default empty array if file doesn't exist
-  slides: loadSlides(),
-  currentSlideIndex: 0,
-};
-
-// ─── Script ────────────────────────────────────────────────────────────────
-
-const SCRIPT_PATH = path.join(__dirname, '../../script/talk.md');
+const DATA_DIR   = path.join(__dirname, '../data');
 
 // ─── Photo list ────────────────────────────────────────────────────────────
 
@@ -133,102 +189,201 @@ function buildPhotoList() {
   return results;
 }
 
-// ─── WiZ bulb UDP ──────────────────────────────────────────────────────────
-// Single persistent UDP socket — avoids creating/destroying a socket on every
-// color change, which can cause file-descriptor exhaustion under rapid tapping.
-//
-// Auto-discovery: on startup we broadcast getSystemConfig (same as test.py)
-// to find bulbs automatically. WIZ_IPS env var can still be used to skip it.
+// ─── Lights ────────────────────────────────────────────────────────────────
+// All bulb output goes through one driver (see lights/index.js), picked by
+// LIGHT_DRIVER: wiz (default), hue (Hue bridge), artnet (DMX), console (log
+// only), sim (loopback fake bulb) or hue-sim (loopback mock Hue bridge) — or a
+// comma list of them, all fed the same commands.
 
 const WIZ_BROADCAST = process.env.WIZ_BROADCAST ?? '192.168.1.255';
+const LIGHT_DRIVER  = process.env.LIGHT_DRIVER ?? 'wiz';
+
+// The configured bulbs belong to the main room; rooms opened later have none.
+const lights = createLightDriver(LIGHT_DRIVER, {
+  broadcast:  WIZ_BROADCAST,
+  ips:        WIZ_IPS,   // unicast targets; discovery adds any others it finds
+  simPort:    parseInt(process.env.SIM_PORT ?? '38899', 10),
+  simBulbs:   parseInt(process.env.SIM_BULBS ?? '1', 10),
+  bridge:     process.env.HUE_BRIDGE,  // Hue bridge IP (or host:port)
+  appKey:     process.env.HUE_APP_KEY,
+  huePort:    parseInt(process.env.HUE_SIM_PORT ?? '0', 10),
+  fixtures:   process.env.ARTNET_FIXTURES,  // name=universe:channel[:layout];… (see lights/artnet.js)
+  artnetHost: process.env.ARTNET_HOST,      // Art-Net node IP; default 2.255.255.255 broadcast
+  debug:      process.env.LIGHTS_DEBUG === '1',  // log every frame sent (noisy while an effect runs)
+});
 
-let wizSocket = null;
-let discoveredWizIPs = []; // populated by discoverWizBulbs() after server starts
-
-function getWizSocket() {
-  if (wizSocket) return wizSocket;
-  wizSocket = dgram.createSocket('udp4');
-  wizSocket.on('error', (err) => {
-    console.error('[wiz] UDP socket error:', err.message);
-    wizSocket.close();
-    wizSocket = null; // will be recreated on next send
-  });
-  wizSocket.bind(() => {
-    wizSocket.setBroadcast(true);
-  });
-  return wizSocket;
+// ─── Main room ─────────────────────────────────────────────────────────────
+// The talk the server was started for: data/slides.json, script/talk.md,
+// data/session.log (SESSION_FRESH=1 sets it aside) and the bulbs above.
+//
+// Every inbound message and every broadcast goes to data/events/<start>.jsonl
+// (see event-log.js); EVENT_LOG=0 turns it off. REPLAY=<file> | latest starts
+// the server in replay mode instead: it plays that log's broadcasts back to
+// whoever connects (see replay.js), REPLAY_SPEED=1 | 4, REPLAY_HOST=0 to leave
+// the recorded host's actions out and drive the talk yourself.
+
+const MAIN_ROOM  = 'main';
+const EVENTS_DIR = path.join(DATA_DIR, 'events');
+const EVENT_LOG  = process.env.EVENT_LOG !== '0';
+
+const REPLAY_FILE = process.env.REPLAY === 'latest' ? latestEventLog(EVENTS_DIR) : process.env.REPLAY || null;
+if (process.env.REPLAY && (!REPLAY_FILE || !fs.existsSync(REPLAY_FILE))) {
+  throw new Error(`REPLAY: no event log at ${REPLAY_FILE ?? `${EVENTS_DIR} (latest)`}`);
 }
 
-// Broadcast getSystemConfig and collect responding bulb IPs (mirrors test.py)
-function discoverWizBulbs() {
-  return new Promise((resolve) => {
-    const sock = dgram.createSocket('udp4');
-    const found = new Set();
+const photos = buildPhotoList();
 
-    sock.on('error', (err) => {
-      console.error('[wiz] Discovery socket error:', err.message);
-      try { sock.close(); } catch (_) {}
-      resolve([]);
-    });
+// Host sessions for every room — the secret is kept in data/ so a restart
+// doesn't log the host out mid-talk
+const auth = createHostAuth({
+  secretFile:  path.join(DATA_DIR, 'host-secret'),
+  ttlMs:       HOST_SESSION_MS,
+  inviteTtlMs: INVITE_MS,
+});
 
-    sock.on('message', (msg, rinfo) => {
-      try {
-        const resp = JSON.parse(msg.toString());
-        if (resp.result && resp.result.mac && !found.has(rinfo.address)) {
-          found.add(rinfo.address);
-          console.log(`[wiz] Found bulb at ${rinfo.address} (MAC: ${resp.result.mac})`);
-        }
-      } catch (_) {}
-    });
+// Word filter for names, questions and text responses — one list for every
+// room (see filter.js). FILTER_FILE points elsewhere; FILTER=0 turns it off.
+const filter = createFilter({
+  file: process.env.FILTER === '0' ? null : process.env.FILTER_FILE || path.join(DATA_DIR, 'filter.json'),
+});
+if (filter.size()) console.log(`[filter] ${filter.size()} word(s) on the list`);
+
+const rooms = new Map(); // id → room (see room.js)
+
+rooms.set(MAIN_ROOM, createRoom({
+  id:           MAIN_ROOM,
+  title:        'Light Room',
+  hostKey:      HOST_KEY,
+  cohostKey:    COHOST_KEY,
+  moderatorKey: MODERATOR_KEY,
+  auth,
+  cookiePath:   '/',
+  slidesPath:   path.join(DATA_DIR, 'slides.json'),
+  scriptPath:   path.join(__dirname, '../../script/talk.md'),
+  sessionPath:  path.join(DATA_DIR, 'session.log'),
+  sessionFresh: process.env.SESSION_FRESH === '1',
+  eventsDir:    EVENTS_DIR,
+  eventLog:     EVENT_LOG,
+  replay:       REPLAY_FILE && {
+    file:     REPLAY_FILE,
+    speed:    REPLAY_SPEEDS.includes(Number(process.env.REPLAY_SPEED)) ? Number(process.env.REPLAY_SPEED) : 1,
+    skipHost: process.env.REPLAY_HOST === '0',
+  },
+  lights,
+  zoneSpec:     process.env.LIGHT_ZONES,
+  photos,
+  premoderate:  PREMODERATE,
+  filter,
+}));
+
+// ─── More rooms ────────────────────────────────────────────────────────────
+// Opened and closed through /api/rooms. Each keeps everything under
+// data/rooms/<id>/ — room.json (id, title, host keys), slides.json, talk.md,
+// session.log, events/ — and is reopened at startup until it's closed. A
+// closed room's folder moves to data/rooms/closed/ for the record.
+
+const ROOMS_DIR  = path.join(DATA_DIR, 'rooms');
+const ROOM_ID_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const RESERVED_ROOM_IDS = new Set([MAIN_ROOM, 'closed']);
+const ROOM_KEYS  = ['hostKey', 'cohostKey', 'moderatorKey']; // presenter, co-host, moderator
+
+function openRoom(meta) {
+  const dir = path.join(ROOMS_DIR, meta.id);
+  const room = createRoom({
+    ...meta,
+    auth,
+    cookiePath:  `/r/${meta.id}`,
+    slidesPath:  path.join(dir, 'slides.json'),
+    scriptPath:  path.join(dir, 'talk.md'),
+    sessionPath: path.join(dir, 'session.log'),
+    eventsDir:   path.join(dir, 'events'),
+    eventLog:    EVENT_LOG,
+    lights:      createLightDriver('none'),
+    photos,
+    premoderate: PREMODERATE,
+    filter,
+  });
+  rooms.set(meta.id, room);
+  return room;
+}
 
-    sock.bind(() => {
-      sock.setBroadcast(true);
-      const discMsg = Buffer.from('{"method":"getSystemConfig","params":{}}');
-      sock.send(discMsg, 0, discMsg.length, WIZ_PORT, WIZ_BROADCAST, (err) => {
-        if (err) console.error('[wiz] Broadcast send error:', err.message);
-        else console.log(`[wiz] Discovery broadcast sent to ${WIZ_BROADCAST}:${WIZ_PORT}`);
-      });
-      // Wait 2 seconds for bulbs to respond (same timeout as test.py)
-      setTimeout(() => {
-        const ips = [...found];
-        try { sock.close(); } catch (_) {}
-        resolve(ips);
-      }, 2000);
-    });
+// Rooms opened before a restart
+function loadRooms() {
+  if (!fs.existsSync(ROOMS_DIR)) return;
+  fs.readdirSync(ROOMS_DIR).forEach(id => {
+    const file = path.join(ROOMS_DIR, id, 'room.json');
+    if (RESERVED_ROOM_IDS.has(id) || !fs.existsSync(file)) return;
+    try {
+      openRoom(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+      console.warn(`[rooms] Could not reopen room ${id}:`, err.message);
+    }
   });
 }
 
-function hexToRgb(hex) {
-  const r = parseInt(hex.slice(1, 3), 16);
-  const g = parseInt(hex.slice(3, 5), 16);
-  const b = parseInt(hex.slice(5, 7), 16);
-  return { r, g, b };
+/** @returns {{ room, meta } | { error, status }} */
+function createNewRoom({ id, title, presenter, ...keys } = {}) {
+  id = id === undefined ? crypto.randomBytes(4).toString('hex') : String(id).toLowerCase();
+  if (!ROOM_ID_RE.test(id) || RESERVED_ROOM_IDS.has(id)) return { error: 'id must be 1–32 of a-z, 0-9 and -', status: 400 };
+  if (rooms.has(id)) return { error: `Room ${id} is already open`, status: 409 };
+  for (const name of ROOM_KEYS) {
+    const key = keys[name];
+    if (key !== undefined && (typeof key !== 'string' || key.length < 8)) {
+      return { error: `${name} must be at least 8 characters`, status: 400 };
+    }
+  }
+  const given = ROOM_KEYS.map(name => keys[name]).filter(Boolean);
+  if (new Set(given).size < given.length) return { error: 'Each role needs a different key', status: 400 };
+
+  const meta = {
+    id,
+    title:     sanitizeLabel(title, 80) || id,
+    presenter: sanitizeLabel(presenter, 40) || 'Host',
+    createdAt: Date.now(),
+  };
+  // One key per role — whichever aren't given are made up
+  ROOM_KEYS.forEach(name => { meta[name] = keys[name] ?? crypto.randomBytes(9).toString('base64url'); });
+  const dir = path.join(ROOMS_DIR, id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'room.json'), JSON.stringify(meta, null, 2));
+  if (!fs.existsSync(path.join(dir, 'slides.json'))) fs.writeFileSync(path.join(dir, 'slides.json'), '[]');
+
+  const room = openRoom(meta);
+  room.start();
+  console.log(`[rooms] Opened room ${id} ("${meta.title}")`);
+  return { room, meta };
 }
 
-function sendToWiz(hex) {
-  const { r, g, b } = hexToRgb(hex);
-  const msg = JSON.stringify({
-    method: 'setPilot',
-    params: { r, g, b, dimming: 90 },
-  });
+function closeRoom(id) {
+  const room = rooms.get(id);
+  room.close({ reason: 'The host closed this room.' });
+  rooms.delete(id);
 
-  const socket = getWizSocket();
-  const buf = Buffer.from(msg);
+  const closedDir = path.join(ROOMS_DIR, 'closed');
+  fs.mkdirSync(closedDir, { recursive: true });
+  fs.renameSync(path.join(ROOMS_DIR, id), path.join(closedDir, `${id}-${new Date().toISOString().replace(/[:.]/g, '-')}`));
+  console.log(`[rooms] Closed room ${id}`);
+}
 
-  // Send as broadcast so all bulbs on the LAN receive it
-  socket.send(buf, 0, buf.length, WIZ_PORT, WIZ_BROADCAST, (err) => {
-    if (err) console.error(`[wiz] Broadcast error:`, err.message);
-    else console.log(`[wiz] broadcast → ${WIZ_BROADCAST} ${hex}`);
-  });
+// Constant-time, like the role keys on /auth (sameKey in host-auth.js)
+function isAdmin(req) {
+  const header = req.headers.authorization;
+  if (typeof header !== 'string' || !header.startsWith('Bearer ')) return false;
+  return sameKey(header.slice('Bearer '.length), ADMIN_KEY);
 }
 
-// ─── Per-client rate limiter ────────────────────────────────────────────────
-// Prevents a student from flooding the server/bulbs by mashing colors.
-// Allows at most 1 color change per COLOR_RATE_MS per client.
+function roomUrls(id) {
+  const base = id === MAIN_ROOM ? '' : `/r/${id}`;
+  return { student: `${base}/`, host: `${base}/host`, room: `${base}/room` };
+}
 
-const COLOR_RATE_MS    = 300;   // minimum ms between accepted color changes per client
-const QUESTION_RATE_MS = 5000;  // minimum ms between questions per client (prevents spam)
-const TEXT_RATE_MS     = 8000;  // minimum ms between text responses (one thoughtful answer)
+// Titles and presenter names reach student screens — same rules as student text
+function sanitizeLabel(str, maxLen) {
+  if (typeof str !== 'string') return '';
+  return str.trim().slice(0, maxLen).replace(/[<>\n\r\0]/g, '');
+}
+
+loadRooms();
 
 // ─── HTTP server + static file serving ─────────────────────────────────────
 
@@ -248,7 +403,7 @@ const MIME = {
 
 const httpServer = http.createServer((req, res) => {
   const url = new URL(req.url, `http://localhost`);
-  const pathname = url.pathname;
+  let pathname = url.pathname;
 
   // ── /qr — QR code generator page ──
   // Usage: /qr?url=https://abc123.ngrok.io
@@ -360,106 +515,73 @@ const httpServer = http.createServer((req, res) => {
     return;
   }
 
-  // ── REST: host auth check ──
-  if (req.method === 'POST' && pathname === '/auth') {
-    let body = '';
-    let bodyLen = 0;
-    req.on('data', chunk => {
-      bodyLen += chunk.length;
-      if (bodyLen > 4096) {
-        res.writeHead(413); res.end(); return;
-      }
-      body += chunk;
-    });
-    req.on('end', () => {
-      try {
-        const { key } = JSON.parse(body);
-        if (key === HOST_KEY) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true }));
-        } else {
-          res.writeHead(401, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: false }));
-        }
-      } catch {
-        res.writeHead(400);
-        res.end();
-      }
-    });
-    return;
-  }
 
-  // ── REST: slides ──
-  if (pathname === '/api/slides') {
-    if (req.method === 'GET') {
-      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
-      res.end(JSON.stringify(appState.slides));
+  // ── REST: rooms (admin only) ──
+  if (pathname === '/api/rooms' || pathname.startsWith('/api/rooms/')) {
+    if (!ADMIN_KEY) {
+      res.writeHead(403); res.end('Admin API disabled — set ADMIN_KEY'); return;
+    }
+    if (!isAdmin(req)) {
+      res.writeHead(401); res.end('Unauthorized'); return;
+    }
+    const json = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'GET' && pathname === '/api/rooms') {
+      json(200, [...rooms.values()].map(r => ({ ...r.info(), urls: roomUrls(r.id) })));
       return;
     }
-    if (req.method === 'POST') {
-      // Require host key auth via query param or body
-      const authKey = url.searchParams.get('key');
-      if (authKey !== HOST_KEY) {
-        res.writeHead(401); res.end('Unauthorized'); return;
-      }
-      let body = '';
-      let bodyLen = 0;
-      req.on('data', chunk => {
-        bodyLen += chunk.length;
-        if (bodyLen > 512 * 1024) { res.writeHead(413); res.end(); return; } // 512KB max
-        body += chunk;
-      });
-      req.on('end', () => {
+
+    if (req.method === 'POST' && pathname === '/api/rooms') {
+      readBody(req, res, 4096, body => {
+        let opts;
         try {
-          const slides = JSON.parse(body);
-          if (!Array.isArray(slides)) { res.writeHead(400); res.end('Must be an array'); return; }
-          // Validate each slide is a plain object (not a string/number/null) to prevent
-          // corrupted data from breaking renderSlide() on student clients.
-          for (const slide of slides) {
-            if (!slide || typeof slide !== 'object' || Array.isArray(slide)) {
-              res.writeHead(400); res.end('Each slide must be an object'); return;
-            }
-          }
-          appState.slides = slides;
-          saveSlides(slides);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true, count: slides.length }));
+          opts = body ? JSON.parse(body) : {};
         } catch {
-          res.writeHead(400); res.end('Invalid JSON');
+          res.writeHead(400); res.end('Invalid JSON'); return;
         }
+        const { room, meta, error, status } = createNewRoom(opts ?? {});
+        if (error) { json(status, { ok: false, error }); return; }
+        json(201, {
+          ok: true,
+          ...room.info(),
+          hostKey:      meta.hostKey,
+          cohostKey:    meta.cohostKey,
+          moderatorKey: meta.moderatorKey,
+          urls:         { ...roomUrls(room.id), invites: room.invites() },
+        });
       });
       return;
     }
-  }
 
-  // ── REST: script ──
-  if (req.method === 'GET' && pathname === '/api/script') {
-    if (!fs.existsSync(SCRIPT_PATH)) {
-      res.writeHead(404, { 'Content-Type': 'text/plain' });
-      res.end('Script not found');
+    const closeMatch = pathname.match(/^\/api\/rooms\/([^/]+)$/);
+    if (req.method === 'DELETE' && closeMatch) {
+      const id = closeMatch[1];
+      if (id === MAIN_ROOM) { json(400, { ok: false, error: 'The main room closes with the server' }); return; }
+      if (!rooms.has(id)) { json(404, { ok: false, error: `No open room ${id}` }); return; }
+      closeRoom(id);
+      json(200, { ok: true });
       return;
     }
-    try {
-      const scriptContent = fs.readFileSync(SCRIPT_PATH, 'utf8');
-      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-cache' });
-      res.end(scriptContent);
-    } catch {
-      res.writeHead(500); res.end('Error reading script');
-    }
+
+    res.writeHead(405); res.end();
     return;
   }
 
-  // ── REST: state snapshot ──
-  if (req.method === 'GET' && pathname === '/state') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      mode: appState.mode,
-      roomColorHex: appState.roomColorHex,
-      totalColorChanges: appState.totalColorChanges,
-      count: studentCount(),  // was appState.clients.size — included host connections
-    }));
+  // ── Rooms: /r/<id>/… is room <id>, with the same pages and endpoints as the main room ──
+  const roomMatch = pathname.match(/^\/r\/([^/]+)(\/.*)?$/);
+  const room = rooms.get(roomMatch ? roomMatch[1] : MAIN_ROOM);
+  if (!room) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('No such room');
     return;
   }
+  if (roomMatch) pathname = roomMatch[2] ?? '/';
+
+  // ── REST: auth, slides, script, state, export — see room.js ──
+  if (room.handleRequest(req, res, pathname)) return;
 
   // ── /host → serve host.html ──
   if (pathname === '/host' || pathname === '/host.html') {
@@ -467,6 +589,12 @@ const httpServer = http.createServer((req, res) => {
     return;
   }
 
+  // ── /room → virtual light room for remote viewers / OBS ──
+  if (pathname === '/room' || pathname === '/room.html') {
+    serveFile(res, path.join(PUBLIC_DIR, 'room.html'));
+    return;
+  }
+
   // ── Photos: serve from /photos/ directory ──
   if (pathname.startsWith('/photos/')) {
     const photoPath = path.join(__dirname, '../..', pathname);
@@ -518,319 +646,82 @@ function serveFile(res, filePath) {
   });
 }
 
-// ─── WebSocket server ──────────────────────────────────────────────────────
-
-const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
-
-wss.on('connection', (socket) => {
-  // Register new connection with blank state
-  appState.clients.set(socket, { name: null, hex: null, isHost: false, colorsSent: 0, lastColorAt: 0, lastQuestionAt: 0, lastTextAt: 0 });
-
-  // Send welcome payload
-  socket.send(JSON.stringify({
-    type: 'welcome',
-    mode: appState.mode,
-    count: studentCount(),
-    totalColorChanges: appState.totalColorChanges,
-    roomColor: appState.roomColorHex,
-    photos: appState.photos,
-    textResponses: appState.textResponses.slice(-10),
-    questions: appState.questions.slice(-10),
-    // Cumulative reaction counts — lets late joiners and reconnectors see accurate totals
-    reactionCounts: appState.reactionCounts,
-    // Slides — full array so students can render any slide index
-    slides: appState.slides,
-    currentSlideIndex: appState.currentSlideIndex,
-    students: [...appState.clients.entries()]
-      .filter(([, c]) => c.name && !c.isHost)
-      .map(([, c]) => ({ name: c.name, hex: c.hex, colorsSent: c.colorsSent })),
-  }));
-
-  socket.on('message', (raw) => {
-    let msg;
-    try {
-      msg = JSON.parse(raw);
-    } catch {
-      return; // Ignore malformed messages
-    }
-
-    handleMessage(socket, msg);
-  });
-
-  socket.on('close', () => {
-    const client = appState.clients.get(socket);
-    appState.clients.delete(socket);
-
-    const newCount = studentCount();
-
-    // Notify remaining clients of new count (and which student left so host can remove them)
-    broadcast({
-      type: 'leave',
-      name: client?.name ?? null,
-      count: newCount,
-    });
-  });
-
-  socket.on('error', (err) => {
-    console.error('[ws] Socket error:', err.message);
-  });
-});
-
-// ─── Message handler ───────────────────────────────────────────────────────
-
-function handleMessage(socket, msg) {
-  const client = appState.clients.get(socket);
-  if (!client) return;
-
-  switch (msg.type) {
-
-    case 'join': {
-      const name = sanitize(msg.name);
-      const hex  = sanitizeHex(msg.hex);
-      // Require at least 1 visible character after sanitizing — blocks invisible-char names
-      if (!name || name.replace(/\s/g, '').length < 1 || !hex) return;
-
-      client.name = name;
-      client.hex  = hex;
-
-      // Fire the bulb to the student's chosen color immediately on join
-      appState.roomColorHex = hex;
-      sendToWiz(hex);
-
-      // Confirm to sender
-      socket.send(JSON.stringify({ type: 'joined', count: studentCount() }));
-
-      // Broadcast join to everyone
-      broadcast({ type: 'join', name, hex, count: studentCount() });
-      break;
-    }
-
-    case 'color': {
-      if (!client.name) return;
-      const hex = sanitizeHex(msg.hex);
-      if (!hex) return;
-
-      // Rate limit: drop color changes that arrive faster than COLOR_RATE_MS
-      const now = Date.now();
-      if (now - client.lastColorAt < COLOR_RATE_MS) return;
-      client.lastColorAt = now;
-
-      client.hex = hex;
-      client.colorsSent++;
-      appState.totalColorChanges++;
-      appState.roomColorHex = hex;
-
-      // Send to WiZ bulbs
-      sendToWiz(hex);
-
-      // Broadcast to all OTHER clients — sender handles their own UI optimistically
-      broadcast({ type: 'color', name: client.name, hex }, socket);
-      break;
-    }
-
-    case 'reaction': {
-      if (!client.name) return;
-      const emoji = sanitizeEmoji(msg.emoji);
-      if (!emoji) return;
-
-      // Persist cumulative count — welcome payload sends this to late joiners / reconnectors
-      appState.reactionCounts[emoji] = (appState.reactionCounts[emoji] || 0) + 1;
-
-      // Exclude sender — they already bumped their own reaction count in handleReaction()
-      broadcast({ type: 'reaction', name: client.name, emoji }, socket);
-      break;
-    }
-
-    case 'text_response': {
-      if (!client.name) return;
-      const text = sanitize(msg.text, 200);
-      if (!text) return;
-
-      // Rate-limit: one text response per 8 seconds — encourages thoughtful answers
-      const nowT = Date.now();
-      if (nowT - client.lastTextAt < TEXT_RATE_MS) return;
-      client.lastTextAt = nowT;
-
-      const entry = { name: client.name, text, hex: client.hex };
-      appState.textResponses.push(entry);
-      // Cap in-memory storage so it doesn't grow unbounded across a long session
-      if (appState.textResponses.length > 200) appState.textResponses.shift();
-
-      broadcast({ type: 'text_response', ...entry });
-      break;
-    }
-
-    case 'question': {
-      if (!client.name) return;
-      const text = sanitize(msg.text, 300);
-      if (!text) return;
-
-      // Rate-limit: prevent question spam from bored students
-      const nowQ = Date.now();
-      if (nowQ - client.lastQuestionAt < QUESTION_RATE_MS) return;
-      client.lastQuestionAt = nowQ;
-
-      const entry = { name: client.name, text, hex: client.hex };
-      appState.questions.push(entry);
-      // Cap in-memory storage
-      if (appState.questions.length > 200) appState.questions.shift();
-
-      broadcast({ type: 'question', ...entry });
-      break;
-    }
-
-    // ── Host-only messages ──
-
-    case 'host_join': {
-      if (msg.key !== HOST_KEY) return;
-      // Revoke host status from any previous host socket — this handles page refresh
-      // (old socket may still be alive briefly) and prevents two simultaneous host sessions.
-      // The new connection with the valid key wins host control.
-      appState.clients.forEach((c, s) => {
-        if (c.isHost && s !== socket) {
-          c.isHost = false;
-        }
-      });
-      client.isHost = true;
-      client.name   = '__host__';
-      break;
-    }
-
-    case 'host_color': {
-      if (msg.key !== HOST_KEY || !client.isHost) return;
-      const hex = sanitizeHex(msg.hex);
-      if (!hex) return;
-
-      appState.roomColorHex = hex;
-      sendToWiz(hex);
-      broadcast({ type: 'color', name: 'Ashika', hex });
-      break;
-    }
-
-    case 'mode': {
-      if (msg.key !== HOST_KEY || !client.isHost) return;
-      const mode = sanitizeMode(msg.mode);
-      if (!mode) return;
 
-      appState.mode = mode;
-      broadcast({ type: 'mode', mode });
-
-      if (mode === 'demo') {
-        broadcast({ type: 'demo_start' });
-      }
-      break;
-    }
-
-    case 'slide_goto': {
-      if (msg.key !== HOST_KEY || !client.isHost) return;
-      // Do nothing if there are no slides — avoids broadcasting a
-      // meaningless index that causes renderSlide(undefined) on clients.
-      if (appState.slides.length === 0) return;
-      const idx = parseInt(msg.index, 10);
-      if (isNaN(idx) || idx < 0) return;
-      // Clamp to valid range
-      const clampedIdx = Math.min(idx, appState.slides.length - 1);
-      appState.currentSlideIndex = clampedIdx;
-      broadcast({ type: 'slide_goto', index: clampedIdx });
-      break;
-    }
+// ─── WebSocket server ──────────────────────────────────────────────────────
+// /ws is the main room, /r/<id>/ws room <id>
 
-    case 'slides_reload': {
-      // Host reloaded slides after saving — refresh in-memory state
-      if (msg.key !== HOST_KEY || !client.isHost) return;
-      appState.slides = loadSlides();
-      appState.currentSlideIndex = 0;
-      // Broadcast updated slides to all students
-      broadcast({ type: 'slides_updated', slides: appState.slides, currentSlideIndex: 0 });
-      break;
-    }
+const wss = new WebSocketServer({ noServer: true });
 
-    default:
-      break;
+httpServer.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const match = pathname.match(/^(?:\/r\/([^/]+))?\/ws$/);
+  const room = match && rooms.get(match[1] ?? MAIN_ROOM);
+  if (!room) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
   }
-}
-
-// ─── Broadcast helpers ─────────────────────────────────────────────────────
-
-function broadcast(msg, excludeSocket = null) {
-  const str = JSON.stringify(msg);
-  appState.clients.forEach((_, socket) => {
-    if (socket !== excludeSocket && socket.readyState === WebSocket.OPEN) {
-      socket.send(str);
-    }
-  });
-}
-
-function studentCount() {
-  let count = 0;
-  appState.clients.forEach(c => { if (c.name && !c.isHost) count++; });
-  return count;
-}
-
-// ─── Sanitizers ────────────────────────────────────────────────────────────
-
-function sanitize(str, maxLen = 100) {
-  if (typeof str !== 'string') return '';
-  // Strip angle brackets (XSS), newlines/carriage returns (terminal injection),
-  // and null bytes. Trim all Unicode whitespace (incl. NBSP \u00A0) and cap length.
-  return str
-    .replace(/^[\s\u00A0\u2000-\u200B\uFEFF]+|[\s\u00A0\u2000-\u200B\uFEFF]+$/g, '')
-    .slice(0, maxLen)
-    .replace(/[<>\n\r\0]/g, '');
-}
-
-function sanitizeHex(str) {
-  if (typeof str !== 'string') return null;
-  const match = str.trim().match(/^#[0-9A-Fa-f]{6}$/);
-  return match ? str.trim().toUpperCase() : null;
-}
-
-function sanitizeEmoji(str) {
-  const ALLOWED = ['👀', '💡', '🔥', '😮'];
-  return ALLOWED.includes(str) ? str : null;
-}
-
-function sanitizeMode(str) {
-  const ALLOWED = ['lobby', 'color', 'ambient', 'photos', 'text', 'demo', 'qa', 'sendoff'];
-  return ALLOWED.includes(str) ? str : null;
-}
+  wss.handleUpgrade(req, socket, head, ws => room.attach(ws, req));
+});
 
 // ─── Start ─────────────────────────────────────────────────────────────────
 
 httpServer.listen(PORT, () => {
+  const main = rooms.get(MAIN_ROOM);
   console.log(`\n  Light Room server running!\n`);
   console.log(`  Student app: http://localhost:${PORT}/`);
-  console.log(`  Host dash:   http://localhost:${PORT}/host?key=${HOST_KEY}`);
-  console.log(`  WiZ bulbs:   ${WIZ_IPS.length ? WIZ_IPS.join(', ') : '(running auto-discovery...)'}`);
-  console.log(`\n  Mode: ${appState.mode}`);
+  console.log(`  Host dash:   http://localhost:${PORT}/host  (log in with HOST_KEY)`);
+  console.log(`  Lights:      ${lights.name}`);
+  if (!ADMIN_KEY) console.log(`  Admin API:   off (set ADMIN_KEY to open and close rooms)`);
+  if (lights.name.split('+').includes('wiz')) {
+    console.log(`  WiZ bulbs:   ${WIZ_IPS.length ? WIZ_IPS.join(', ') : '(running auto-discovery...)'}`);
+  }
+  if (main.replay) {
+    const { file, events, durationMs, speed } = main.replay.getState();
+    console.log(`  Replaying:   ${file} — ${events} message(s), ${Math.round(durationMs / 1000)} s at ${speed}x`);
+  } else if (main.eventLogFile) {
+    console.log(`  Event log:   ${path.relative(process.cwd(), main.eventLogFile)}`);
+  }
+  if (rooms.size > 1) {
+    console.log(`  Rooms:       ${[...rooms.keys()].filter(id => id !== MAIN_ROOM).map(id => `/r/${id}/`).join(', ')}`);
+  }
+  console.log(`\n  Mode: ${main.info().mode}`);
   console.log(`  Press Ctrl+C to stop.\n`);
 
-  // Auto-discover WiZ bulbs via broadcast (mirrors test.py approach)
-  discoverWizBulbs().then(ips => {
-    discoveredWizIPs = ips;
-    if (ips.length) {
-      console.log(`[wiz] Auto-discovered ${ips.length} bulb(s): ${ips.join(', ')}`);
-      console.log(`[wiz] Tip: add WIZ_IPS=${ips.join(',')} to start.sh to skip discovery next time.\n`);
-    } else {
-      console.log(`[wiz] No bulbs found on ${WIZ_BROADCAST}. If your subnet differs, set WIZ_BROADCAST env var.\n`);
-    }
-  });
-
-  // Watch for changes in slides.json and reload
-  fs.watch(SLIDES_PATH, (eventType, filename) => {
-    if (filename && eventType === 'change') {
-      console.log('[slides] slides.json changed, reloading...');
-      appState.slides = loadSlides();
-      appState.currentSlideIndex = 0;
-      broadcast({ type: 'slides_updated', slides: appState.slides, currentSlideIndex: 0 });
-    }
+  rooms.forEach(room => {
+    const discovered = room.start();
+    if (room !== main) return;
+    discovered.then(ips => {
+      if (lights.name !== 'wiz') {
+        console.log(`[lights] ${lights.name}: ${ips.length} bulb(s)${ips.length ? `: ${ips.join(', ')}` : ''}\n`);
+      } else if (ips.length) {
+        console.log(`[wiz] Auto-discovered ${ips.length} bulb(s): ${ips.join(', ')}`);
+        console.log(`[wiz] Tip: add WIZ_IPS=${ips.join(',')} to start.sh to skip discovery next time.\n`);
+      } else {
+        console.log(`[wiz] No bulbs found on ${WIZ_BROADCAST}. If your subnet differs, set WIZ_BROADCAST env var.\n`);
+      }
+    });
   });
 });
 
-// Graceful shutdown
+// Graceful shutdown. Open sockets would keep the process alive, so they're
+// dropped straight away — phones reconnect on their own to the next run. A
+// second Ctrl+C doesn't wait for the bulbs.
+let shuttingDown = false;
 process.on('SIGINT', () => {
+  if (shuttingDown) {
+    console.log('  Forced exit.');
+    process.exit(1);
+  }
+  shuttingDown = true;
   console.log('\n  Shutting down...');
-  if (wizSocket) { try { wizSocket.close(); } catch (_) {} }
+  // Each room restores its bulbs; wait for the slowest before closing the driver
+  const flushMs = Math.max(0, ...[...rooms.values()].map(room => room.close()));
+  wss.clients.forEach(ws => ws.terminate());
   wss.close();
-  httpServer.close(() => process.exit(0));
+  httpServer.close();
+  httpServer.closeAllConnections?.(); // Node 18.2+
+  setTimeout(() => {
+    lights.close();
+    process.exit(0);
+  }, flushMs);
 });
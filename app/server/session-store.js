@@ -0,0 +1,234 @@
+/**
+ * session-store.js — talk state that survives a server restart
+ *
+ * An append-only JSON-lines log (data/session.log). Every change to the talk
+ * is one line, written synchronously as it happens:
+ *
+ *   { at, op: 'mode',       mode }
+ *   { at, op: 'slide',      index }
+ *   { at, op: 'join',       sid, name, hex } — a student joined (attendance)
+ *   { at, op: 'leave',      sid, name }
+ *   { at, op: 'color',      sid, name, hex } — a student's accepted pick
+ *   { at, op: 'room_color', hex }
+ *   { at, op: 'reaction',   sid, name, emoji }
+ *   { at, op: 'text',       entry }    — { id, sid, name, text, hex, at }
+ *   { at, op: 'question',   entry }    — { id, sid, name, text, hex, at, votes, answered, pinned }
+ *   { at, op: 'question_hide', id }    — a moderator took it down
+ *   { at, op: 'question_vote', id, sid, vote } — an upvote, or (vote false) one taken back
+ *   { at, op: 'question_answered', id, answered }
+ *   { at, op: 'question_pin', id, pinned } — pinning one unpins the rest
+ *   { at, op: 'question_spotlight', id } — the question being answered now; id null ends it
+ *   { at, op: 'mute',       sid, muted }
+ *   { at, op: 'kick',       sid, name, until } — can't join again before `until`
+ *   { at, op: 'rename',     sid, from, to } — a moderator renamed a student, everywhere
+ *   { at, op: 'lock',       locked }
+ *   { at, op: 'premod',     on }       — pre-moderation on / off
+ *   { at, op: 'pending',    entry }    — held for review: { type, id, name, text, hex, at }
+ *   { at, op: 'review',     id }       — reviewed; an approved one is followed by its text / question line
+ *   { at, op: 'filtered',   entry }    — the word filter caught something: { kind, name, text, action, words, at }
+ *   { at, op: 'pre_talk',   bulbs }    — how the bulbs looked before the talk: bulb id → setPilot params
+ *   { at, op: 'color_mode', mode }     — how picks become zone colors (see lights/aggregate.js)
+ *   { at, op: 'fx',         state }    — effect scene and options: { scene, fadeMs, pulse, breathe }
+ *   { at, op: 'house_lights', on }
+ *   { at, op: 'snapshot',   state }    — everything above, folded
+ *
+ * join / leave / color / reaction / mode also go into `history`, the
+ * timeline the post-talk export is built from (see export.js). join and
+ * color also keep `students` — sid → { name, hex, colorsSent, renamed } — which
+ * a returning phone resumes from (see room.js); a renamed student keeps the
+ * moderator's name.
+ *
+ * load() replays the log into a state object. To keep it short the log is
+ * compacted — rewritten as a single snapshot line — at startup, every
+ * COMPACT_EVERY lines, and on shutdown. The rewrite goes to a temp file and is
+ * renamed over the log, so a crash mid-compaction leaves the old log intact.
+ * A half-written last line (crash mid-append) is skipped on replay.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const COMPACT_EVERY = 2000;
+const MAX_ITEMS     = 200; // same caps the server keeps in memory
+const MAX_HISTORY   = 5000;
+const HISTORY_KINDS = new Set(['join', 'leave', 'color', 'reaction', 'mode']);
+
+function emptyState() {
+  return {
+    mode: 'lobby',
+    currentSlideIndex: 0,
+    totalColorChanges: 0,
+    roomColorHex: null,
+    reactionCounts: {},
+    questions: [],
+    voters: {},           // question id → [sid] — one vote each
+    questionSpotlight: null,
+    textResponses: [],
+    history: [],
+    students: {},
+    locked: false,
+    muted: [],
+    kicked: {},           // sid → { name, until }
+    premod: false,
+    pending: [],
+    filtered: [],
+    preTalk: {},
+    colorMode: 'last',
+    fx: null,
+    houseLights: false,
+  };
+}
+
+function pushCapped(list, entry, max = MAX_ITEMS) {
+  list.push(entry);
+  if (list.length > max) list.shift();
+}
+
+// Fold one log line into the state
+function apply(state, line) {
+  switch (line.op) {
+    case 'snapshot':   Object.assign(state, emptyState(), line.state); break;
+    case 'mode':       state.mode = line.mode; break;
+    case 'slide':      state.currentSlideIndex = line.index; break;
+    case 'join':
+      if (line.sid) {
+        const known = state.students[line.sid];
+        state.students[line.sid] = { name: line.name, hex: line.hex, colorsSent: known?.colorsSent ?? 0, renamed: known?.renamed ?? false };
+      }
+      break;
+    case 'color': {
+      state.totalColorChanges++;
+      const student = state.students[line.sid];
+      if (student) {
+        student.hex = line.hex;
+        student.colorsSent++;
+      }
+      break;
+    }
+    case 'room_color': state.roomColorHex = line.hex; break;
+    case 'reaction':   state.reactionCounts[line.emoji] = (state.reactionCounts[line.emoji] || 0) + 1; break;
+    case 'text':       pushCapped(state.textResponses, line.entry); break;
+    case 'question':   pushCapped(state.questions, line.entry); break;
+    case 'question_hide':
+      state.questions = state.questions.filter(q => q.id !== line.id);
+      delete state.voters[line.id];
+      break;
+    case 'question_vote': {
+      const voters = (state.voters[line.id] ?? []).filter(sid => sid !== line.sid);
+      if (line.vote) voters.push(line.sid);
+      state.voters[line.id] = voters;
+      const q = state.questions.find(e => e.id === line.id);
+      if (q) q.votes = voters.length;
+      break;
+    }
+    case 'question_spotlight': state.questionSpotlight = line.id; break;
+    case 'question_answered': {
+      const q = state.questions.find(e => e.id === line.id);
+      if (q) q.answered = line.answered;
+      if (q && line.answered) q.pinned = false;
+      break;
+    }
+    case 'question_pin':
+      state.questions.forEach(q => {
+        if (q.id === line.id) {
+          q.pinned = line.pinned;
+          if (line.pinned) q.answered = false;
+        } else if (line.pinned) {
+          q.pinned = false;
+        }
+      });
+      break;
+    case 'lock':       state.locked = line.locked; break;
+    case 'premod':     state.premod = line.on; break;
+    case 'pending':    pushCapped(state.pending, line.entry); break;
+    case 'review':     state.pending = state.pending.filter(p => p.id !== line.id); break;
+    case 'filtered':   pushCapped(state.filtered, line.entry); break;
+    case 'pre_talk':   state.preTalk = line.bulbs; break;
+    case 'color_mode': state.colorMode = line.mode; break;
+    case 'fx':         state.fx = line.state; break;
+    case 'house_lights': state.houseLights = line.on; break;
+    case 'mute':
+      state.muted = state.muted.filter(sid => sid !== line.sid);
+      if (line.muted) state.muted.push(line.sid);
+      break;
+    case 'kick':       state.kicked[line.sid] = { name: line.name, until: line.until }; break;
+    case 'rename': {
+      const swap = entry => { if (entry.sid === line.sid) entry.name = line.to; };
+      [state.questions, state.textResponses, state.pending, state.filtered, state.history].forEach(list => list.forEach(swap));
+      if (state.students[line.sid]) Object.assign(state.students[line.sid], { name: line.to, renamed: true });
+      if (state.kicked[line.sid]) state.kicked[line.sid].name = line.to;
+      break;
+    }
+    default: break;
+  }
+  if (HISTORY_KINDS.has(line.op)) {
+    const { op, ...event } = line;
+    pushCapped(state.history, { kind: op, ...event }, MAX_HISTORY);
+  }
+}
+
+/**
+ * @param {object}   opts
+ * @param {string}   opts.file     — log path, e.g. data/session.log
+ * @param {function} opts.getState — () → current state in the snapshot shape, for compaction
+ * @param {boolean}  [opts.fresh]  — set the existing log aside and start a new talk
+ * @param {boolean}  [opts.enabled] — false gives a no-op store (replay mode)
+ */
+function createSessionStore({ file, getState, fresh = false, enabled = true }) {
+  if (!enabled) return { load: () => null, record() {}, compact() {} };
+  let lines = 0;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fresh && fs.existsSync(file)) {
+    const archived = file.replace(/\.log$/, `-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
+    fs.renameSync(file, archived);
+    console.log(`[session] Starting fresh — previous session kept as ${path.basename(archived)}`);
+  }
+
+  /** Replay the log. @returns {object|null} state, or null when there's nothing to resume */
+  function load() {
+    if (!fs.existsSync(file)) return null;
+    const state = emptyState();
+    let applied = 0;
+    fs.readFileSync(file, 'utf8').split('\n').forEach((raw, i) => {
+      if (!raw.trim()) return;
+      try {
+        apply(state, JSON.parse(raw));
+        applied++;
+      } catch {
+        console.warn(`[session] Skipping unreadable line ${i + 1} of ${path.basename(file)}`);
+      }
+    });
+    return applied ? state : null;
+  }
+
+  /** Append one change. */
+  function record(op, data = {}) {
+    try {
+      fs.appendFileSync(file, JSON.stringify({ at: Date.now(), op, ...data }) + '\n');
+    } catch (err) {
+      // Losing persistence mustn't take the talk down with it
+      console.error('[session] Could not write session log:', err.message);
+      return;
+    }
+    if (++lines >= COMPACT_EVERY) compact();
+  }
+
+  /** Rewrite the log as one snapshot of the current state. */
+  function compact() {
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ at: Date.now(), op: 'snapshot', state: getState() }) + '\n');
+      fs.renameSync(tmp, file);
+      lines = 0;
+    } catch (err) {
+      console.error('[session] Could not compact session log:', err.message);
+    }
+  }
+
+  return { load, record, compact };
+}
+
+module.exports = { createSessionStore, HISTORY_KINDS, MAX_HISTORY };
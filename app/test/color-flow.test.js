@@ -0,0 +1,156 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const { createRoom } = require('../server/room');
+const { createHostAuth } = require('../server/host-auth');
+const { createSimDriver } = require('../server/lights/sim');
+
+// Clear of 38899 and of sim.test.js
+const SIM_PORT = 48909;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function until(check, what) {
+  for (let i = 0; i < 200; i++) {
+    if (check()) return;
+    await sleep(25);
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+// One room on a real HTTP + WebSocket server, lit by a simulated bulb
+async function startRoom(t, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-'));
+  const lights = createSimDriver({ simPort: SIM_PORT });
+  const auth = createHostAuth({ secretFile: path.join(dir, 'host-secret'), ttlMs: 60 * 1000 });
+  const room = createRoom({
+    id:          'main',
+    hostKey:     'presenter-key',
+    auth,
+    cookiePath:  '/',
+    slidesPath:  path.join(dir, 'slides.json'),
+    scriptPath:  path.join(dir, 'talk.md'),
+    sessionPath: path.join(dir, 'session.log'),
+    eventsDir:   path.join(dir, 'events'),
+    eventLog:    false,
+    lights,
+    ...opts,
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  const server = http.createServer();
+  server.on('upgrade', (req, socket, head) => wss.handleUpgrade(req, socket, head, ws => room.attach(ws, req)));
+  server.on('request', (req, res) => {
+    if (!room.handleRequest(req, res, new URL(req.url, 'http://localhost').pathname)) { res.writeHead(404); res.end(); }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  await room.start();
+
+  t.after(async () => {
+    wss.clients.forEach(ws => ws.terminate());
+    await sleep(room.close());
+    lights.close();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const url = `ws://127.0.0.1:${server.address().port}/ws`;
+  return { room, auth, lights, url, http: `http://127.0.0.1:${server.address().port}` };
+}
+
+function connect(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, { headers });
+    const msgs = [];
+    ws.on('message', raw => msgs.push(JSON.parse(raw)));
+    ws.on('error', reject);
+    ws.on('open', () => resolve({ msgs, send: msg => ws.send(JSON.stringify(msg)) }));
+  });
+}
+
+const lit = (lights, [r, g, b]) => () => {
+  const { pilot } = lights.simBulbs[0];
+  return pilot.r === r && pilot.g === g && pilot.b === b;
+};
+
+test('join → color → host_color all reach the bulb through the driver', async t => {
+  const { auth, lights, url } = await startRoom(t);
+
+  const student = await connect(url);
+  student.send({ type: 'join', name: 'Ana', hex: '#FF0000' });
+  await until(() => student.msgs.some(m => m.type === 'joined'), 'joined');
+
+  student.send({ type: 'color', hex: '#00FF00' });
+  await until(lit(lights, [0, 255, 0]), "the student's color on the bulb");
+
+  const { token } = auth.issue('main', 'presenter');
+  const host = await connect(url, { authorization: `Bearer ${token}` });
+  host.send({ type: 'host_join' });
+  await until(() => host.msgs.some(m => m.type === 'host_role'), 'host_role');
+
+  host.send({ type: 'host_color', hex: '#0000FF' });
+  await until(lit(lights, [0, 0, 255]), "the host's color on the bulb");
+
+  // Every frame went out as a real setPilot packet, and the bulb acked it
+  assert.ok(lights.pilots.length >= 2);
+  assert.ok(lights.bulbs()[0].acked >= 2);
+});
+
+test('a student without a host session cannot set the room color', async t => {
+  const { lights, url } = await startRoom(t);
+
+  const student = await connect(url);
+  student.send({ type: 'host_color', hex: '#0000FF' });
+  await sleep(300);
+
+  assert.equal(lit(lights, [0, 0, 255])(), false);
+});
+
+test('viewers and students see zone ids, never bulb addresses', async t => {
+  const { lights, url } = await startRoom(t);
+  const address = lights.bulbs()[0].ip;
+
+  const viewer = await connect(url);
+  viewer.send({ type: 'viewer_join' });
+  const student = await connect(url);
+  student.send({ type: 'join', name: 'Ana', hex: '#FF0000' });
+  await until(() => student.msgs.some(m => m.type === 'joined'), 'joined');
+  student.send({ type: 'color', hex: '#00FF00' });
+  await until(() => viewer.msgs.some(m => m.type === 'color'), 'the color on the viewer');
+
+  const layout = viewer.msgs.find(m => m.type === 'room_layout');
+  assert.deepEqual(layout.zones.map(z => [z.id, z.lights]), [['zone-1', 1]]);
+  assert.equal(viewer.msgs.find(m => m.type === 'color').zone, 'zone-1');
+  [viewer, student].forEach(c => assert.ok(!JSON.stringify(c.msgs).includes(address)));
+});
+
+test('only roles that run the lights get bulb addresses, on the socket and on /state', async t => {
+  const { auth, lights, url, http: base } = await startRoom(t, { cohostKey: 'cohost-key', moderatorKey: 'mod-key' });
+  const address = lights.bulbs()[0].ip;
+
+  const seen = {};
+  for (const role of ['presenter', 'cohost', 'moderator']) {
+    const { token } = auth.issue('main', role);
+    const host = await connect(url, { authorization: `Bearer ${token}` });
+    host.send({ type: 'host_join' });
+    await until(() => host.msgs.some(m => m.type === 'host_role'), 'host_role');
+    const state = await fetch(`${base}/state`, { headers: { authorization: `Bearer ${token}` } }).then(r => r.json());
+    seen[role] = { host, state };
+  }
+  const student = await connect(url);
+  student.send({ type: 'join', name: 'Ana', hex: '#FF0000' });
+  await until(() => seen.presenter.host.msgs.some(m => m.type === 'zones' && m.zones[0].students.length), 'zones update');
+
+  assert.ok(JSON.stringify(seen.presenter.host.msgs).includes(address));
+  assert.ok(seen.presenter.state.bulbs.length);
+  ['cohost', 'moderator'].forEach(role => {
+    assert.ok(!JSON.stringify(seen[role].host.msgs).includes(address), role);
+    assert.equal(seen[role].state.bulbs, undefined, role);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFilter } = require('../server/filter');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function filterWith(rules) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-'));
+  dirs.push(dir);
+  const file = path.join(dir, 'filter.json');
+  fs.writeFileSync(file, JSON.stringify({ rules }));
+  return createFilter({ file });
+}
+
+const filter = filterWith([
+  { action: 'mask',   words: ['damn', 'crap*'] },
+  { action: 'hold',   words: ['stupid'] },
+  { action: 'reject', words: ['kill yourself'] },
+]);
+
+test('no word list filters nothing', () => {
+  assert.equal(createFilter({ file: null }).check('damn'), null);
+  assert.equal(createFilter({ file: '/nonexistent/filter.json' }).check('damn'), null);
+});
+
+test('mask replaces the word and lets the post through', () => {
+  assert.deepEqual(filter.check('well damn, ok'), { action: 'mask', text: 'well ****, ok', words: ['damn'] });
+});
+
+test('hold and reject', () => {
+  assert.equal(filter.check('that is stupid').action, 'hold');
+  assert.equal(filter.check('kill   yourself').action, 'reject');
+});
+
+test('the strictest rule wins', () => {
+  const hit = filter.check('damn, stupid');
+  assert.equal(hit.action, 'hold');
+  assert.equal(hit.text, '****, stupid');
+  assert.deepEqual(hit.words, ['damn', 'stupid']);
+});
+
+test('whole words only, unless starred', () => {
+  const ass = filterWith([{ action: 'mask', words: ['ass'] }]);
+  assert.equal(ass.check('first class'), null);
+  assert.equal(filter.check('crappy').text, '******');
+  assert.equal(filter.check('scrap'), null);
+});
+
+test('the usual dodges still match', () => {
+  ['DÁMN', 'dаmn', 'ｄａｍｎ', 'd4mn', 'd​amn', 'daaamn', 'd.a.m.n', 'd-a-m-n'].forEach(text => {
+    assert.equal(filter.check(text)?.action, 'mask', text);
+  });
+  assert.equal(filterWith([{ action: 'reject', words: ['shit'] }]).check('$h1t').action, 'reject');
+});
+
+test('a masked look-alike keeps its original length', () => {
+  assert.equal(filter.check('ｄａｍｎ it').text, '**** it');
+});
+
+test('bad rules are skipped, the rest still apply', () => {
+  const partial = filterWith([{ action: 'shout', words: ['damn'] }, { action: 'hold', words: ['stupid'] }]);
+  assert.equal(partial.check('damn'), null);
+  assert.equal(partial.check('stupid').action, 'hold');
+  assert.equal(partial.size(), 1);
+});
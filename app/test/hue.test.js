@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHueDriver, pilotToHueState } = require('../server/lights/hue');
+const { createMockHueBridge } = require('../server/lights/hue-sim');
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function until(check, what) {
+  for (let i = 0; i < 100; i++) {
+    if (check()) return;
+    await sleep(20);
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+// A mock bridge on a free port, and the real Hue driver pointed at it
+async function startBridge(t, lights = 1) {
+  const bridge = createMockHueBridge({ lights });
+  await bridge.ready;
+  const hue = createHueDriver({ bridge: `127.0.0.1:${bridge.port}`, appKey: bridge.appKey });
+  t.after(() => {
+    hue.close();
+    bridge.close();
+  });
+  return { bridge, hue };
+}
+
+const putsFor = (bridge, id) => bridge.puts.filter(p => p.id === id).map(p => p.body);
+
+test('setPilot params translate to Hue xy, ct and bri', () => {
+  // Philips' own reference point for pure red
+  assert.deepEqual(pilotToHueState({ r: 255, g: 0, b: 0, dimming: 50 }), { on: true, bri: 127, xy: [0.7006, 0.2993] });
+  // 2700 K → 370 mireds; dimming 10–100 maps onto 1–254
+  assert.deepEqual(pilotToHueState({ temp: 2700, dimming: 10 }), { on: true, bri: 25, ct: 370 });
+  assert.equal(pilotToHueState({ r: 0, g: 0, b: 255, dimming: 100 }).bri, 254);
+  // ct clamps to what Hue bulbs accept
+  assert.equal(pilotToHueState({ temp: 10000 }).ct, 153);
+  assert.equal(pilotToHueState({ temp: 1000 }).ct, 500);
+  // Off, black and WiZ scenes
+  assert.deepEqual(pilotToHueState({ state: false }), { on: false });
+  assert.deepEqual(pilotToHueState({ r: 0, g: 0, b: 0 }), { on: false });
+  assert.equal(pilotToHueState({ sceneId: 4 }), null);
+});
+
+test('discover lists the bridge lights and reads their state back as pilots', async t => {
+  const { bridge, hue } = await startBridge(t, 3);
+  bridge.lights['2'].state = { ...bridge.lights['2'].state, colormode: 'ct', ct: 370, bri: 127 };
+
+  assert.deepEqual(await hue.discover(), ['1', '2', '3']);
+  const bulbs = hue.bulbs();
+  assert.deepEqual(bulbs.map(b => b.name), ['Sim light 1', 'Sim light 2', 'Sim light 3']);
+  assert.ok(bulbs.every(b => b.reachable && b.ip === `127.0.0.1:${bridge.port}`));
+  assert.deepEqual(bulbs[1].pilot, { state: true, dimming: 50, temp: 2703 });
+
+  // A light the bridge no longer lists is dropped on the next discover
+  delete bridge.lights['3'];
+  assert.deepEqual(await hue.discover(), ['1', '2']);
+  assert.deepEqual(hue.bulbs().map(b => b.id), ['1', '2']);
+});
+
+test('setPilot reaches the bridge as Hue state, only on the lights asked for', async t => {
+  const { bridge, hue } = await startBridge(t, 2);
+  await hue.discover();
+
+  hue.setPilot({ r: 255, g: 0, b: 0, dimming: 50 }, ['2']);
+  await until(() => bridge.puts.length === 1, 'the PUT on light 2');
+  assert.deepEqual(bridge.puts[0], { at: bridge.puts[0].at, id: '2', body: { on: true, bri: 127, xy: [0.7006, 0.2993] } });
+  assert.equal(bridge.lights['2'].state.colormode, 'xy');
+  assert.deepEqual(bridge.lights['1'].state.xy, [0.3227, 0.329]);
+
+  hue.setPilot({ temp: 2700, dimming: 100 });
+  await until(() => bridge.puts.length === 3, 'a PUT on both lights');
+  ['1', '2'].forEach(id => {
+    const { on, bri, ct, colormode } = bridge.lights[id].state;
+    assert.deepEqual({ on, bri, ct, colormode }, { on: true, bri: 254, ct: 370, colormode: 'ct' }, id);
+  });
+});
+
+test('while a PUT is in flight, the newest state replaces any waiting one', async t => {
+  const { bridge, hue } = await startBridge(t, 1);
+  await hue.discover();
+
+  // A burst of frames faster than the bridge can take them
+  for (let dimming = 10; dimming <= 100; dimming += 10) hue.setPilot({ r: 255, g: 0, b: 0, dimming });
+  await until(() => hue.bulbs()[0].acked >= 3, 'the bridge to settle'); // discover + first + last
+  await sleep(100);
+
+  const bris = putsFor(bridge, '1').map(b => b.bri);
+  assert.deepEqual(bris, [25, 254]); // the first went straight out, only the last of the rest followed
+  assert.equal(bridge.lights['1'].state.bri, 254);
+  assert.equal(hue.bulbs()[0].sent, 3);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../server/session-store');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempLog() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-'));
+  dirs.push(dir);
+  return path.join(dir, 'session.log');
+}
+
+test('load() is null until something is recorded', () => {
+  const store = createSessionStore({ file: tempLog(), getState: () => ({}) });
+  assert.equal(store.load(), null);
+});
+
+test('replays every op into one state', () => {
+  const store = createSessionStore({ file: tempLog(), getState: () => ({}) });
+  store.record('mode', { mode: 'color' });
+  store.record('join', { sid: 's1', name: 'Ana', hex: '#FF0000' });
+  store.record('color', { sid: 's1', name: 'Ana', hex: '#00FF00' });
+  store.record('question', { entry: { id: 'q1', sid: 's1', name: 'Ana', text: 'Why?', votes: 0, answered: false, pinned: false } });
+  store.record('question_pin', { id: 'q1', pinned: true });
+  store.record('mute', { sid: 's1', muted: true });
+  store.record('kick', { sid: 's2', name: 'Bo', until: 123 });
+
+  const state = store.load();
+  assert.equal(state.mode, 'color');
+  assert.deepEqual(state.students.s1, { name: 'Ana', hex: '#00FF00', colorsSent: 1, renamed: false });
+  assert.equal(state.questions[0].pinned, true);
+  assert.deepEqual(state.muted, ['s1']);
+  assert.deepEqual(state.kicked, { s2: { name: 'Bo', until: 123 } });
+  assert.deepEqual(state.history.map(e => e.kind), ['mode', 'join', 'color']);
+});
+
+test('the lighting comes back: color mode, effects and house lights', () => {
+  const store = createSessionStore({ file: tempLog(), getState: () => ({}) });
+  store.record('color_mode', { mode: 'spotlight' });
+  store.record('fx', { state: { scene: 'rainbow', fadeMs: 1200, pulse: true, breathe: false } });
+  store.record('house_lights', { on: true });
+
+  const state = store.load();
+  assert.equal(state.colorMode, 'spotlight');
+  assert.deepEqual(state.fx, { scene: 'rainbow', fadeMs: 1200, pulse: true, breathe: false });
+  assert.equal(state.houseLights, true);
+});
+
+test('a rename reaches every list and sticks through a later join', () => {
+  const store = createSessionStore({ file: tempLog(), getState: () => ({}) });
+  store.record('join', { sid: 's1', name: 'Rude', hex: '#FF0000' });
+  store.record('kick', { sid: 's1', name: 'Rude', until: 123 });
+  store.record('rename', { sid: 's1', from: 'Rude', to: 'Nice' });
+  store.record('join', { sid: 's1', name: 'Nice', hex: '#FF0000' });
+
+  const state = store.load();
+  assert.equal(state.students.s1.name, 'Nice');
+  assert.equal(state.students.s1.renamed, true);
+  assert.equal(state.kicked.s1.name, 'Nice');
+  assert.ok(state.history.every(e => e.name === 'Nice'));
+});
+
+test('compact() folds the log into a snapshot that loads back the same', () => {
+  const file = tempLog();
+  let snapshot = null;
+  const store = createSessionStore({ file, getState: () => snapshot });
+  store.record('mode', { mode: 'qa' });
+  store.record('lock', { locked: true });
+  snapshot = store.load();
+  store.compact();
+
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+  assert.deepEqual(store.load(), snapshot);
+});
+
+test('skips a half-written last line', () => {
+  const file = tempLog();
+  const store = createSessionStore({ file, getState: () => ({}) });
+  store.record('slide', { index: 3 });
+  fs.appendFileSync(file, '{"at":1,"op":"sli');
+
+  assert.equal(store.load().currentSlideIndex, 3);
+});
+
+test('fresh sets the old log aside', () => {
+  const file = tempLog();
+  createSessionStore({ file, getState: () => ({}) }).record('mode', { mode: 'qa' });
+  const store = createSessionStore({ file, getState: () => ({}), fresh: true });
+
+  assert.equal(store.load(), null);
+  assert.equal(fs.readdirSync(path.dirname(file)).length, 1);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimDriver } = require('../server/lights/sim');
+
+// Clear of 38899, so a rehearsal running alongside doesn't collide
+const SIM_PORT = 48899;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function acked(driver, count) {
+  for (let i = 0; i < 50; i++) {
+    if (driver.bulbs().every(b => b.acked >= count)) return;
+    await sleep(20);
+  }
+  throw new Error('simulated bulbs never acked');
+}
+
+test('every bulb records the pilots it was sent, in order', async t => {
+  const driver = createSimDriver({ simPort: SIM_PORT, simBulbs: 2 });
+  t.after(() => driver.close());
+  await Promise.all(driver.simBulbs.map(b => b.ready));
+
+  driver.setPilot({ r: 255, g: 0, b: 0, dimming: 50 });
+  await acked(driver, 1);
+  driver.setPilot({ temp: 2700 });
+  await acked(driver, 2);
+
+  assert.equal(driver.pilots.length, 4);
+  driver.simBulbs.forEach(bulb => {
+    assert.deepEqual(bulb.pilots.map(p => p.params), [{ r: 255, g: 0, b: 0, dimming: 50 }, { temp: 2700 }]);
+    // Switching to white drops the color keys, as a real bulb would
+    assert.equal(bulb.pilot.temp, 2700);
+    assert.equal('r' in bulb.pilot, false);
+    assert.equal(bulb.pilot.dimming, 50);
+  });
+});
+
+test('a command with ids only reaches those bulbs', async t => {
+  const driver = createSimDriver({ simPort: SIM_PORT, simBulbs: 2 });
+  t.after(() => driver.close());
+  await Promise.all(driver.simBulbs.map(b => b.ready));
+
+  const [first] = driver.bulbs();
+  driver.setPilot({ sceneId: 4 }, [first.id]);
+  for (let i = 0; i < 50 && !driver.pilots.length; i++) await sleep(20);
+
+  assert.deepEqual(driver.pilots.map(p => p.bulb), [`${first.ip}:${first.port}`]);
+  assert.equal(driver.simBulbs[1].pilots.length, 0);
+});
+
+test('a muted bulb records nothing', async t => {
+  const driver = createSimDriver({ simPort: SIM_PORT });
+  t.after(() => driver.close());
+  await driver.simBulbs[0].ready;
+  driver.simBulbs[0].muted = true;
+
+  driver.setPilot({ r: 0, g: 0, b: 255 });
+  await sleep(200);
+
+  assert.equal(driver.pilots.length, 0);
+  assert.equal(driver.bulbs()[0].acked, 0);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createZones } = require('../server/lights/zones');
+
+const ids = zones => zones.list().map(z => z.id);
+
+test('with no bulbs there is one zone for every bulb', () => {
+  const zones = createZones();
+  zones.sync([]);
+  assert.deepEqual(zones.list().map(z => [z.id, z.bulbIds]), [['all', null]]);
+});
+
+test('unlisted bulbs get numbered zones, never their address', () => {
+  const zones = createZones({ spec: 'front=10.0.0.5' });
+  zones.sync(['10.0.0.1', '10.0.0.5', '10.0.0.2:38900']);
+
+  assert.deepEqual(ids(zones), ['front', 'zone-1', 'zone-2']);
+  assert.deepEqual(zones.get('zone-2').bulbIds, ['10.0.0.2:38900']);
+});
+
+test('numbers skip names LIGHT_ZONES already uses', () => {
+  const zones = createZones({ spec: '10.0.0.9' }); // an unnamed group is zone-1
+  zones.sync(['10.0.0.9', '10.0.0.1']);
+  assert.deepEqual(ids(zones), ['zone-1', 'zone-2']);
+});
+
+test('a bulb that drops out and comes back keeps its zone id', () => {
+  const zones = createZones();
+  zones.sync(['10.0.0.1', '10.0.0.2']);
+  zones.sync(['10.0.0.1']);
+  zones.sync(['10.0.0.3', '10.0.0.2', '10.0.0.1']);
+
+  assert.deepEqual(ids(zones), ['zone-3', 'zone-2', 'zone-1']);
+});
+
+test('a student keeps their zone until it vanishes', () => {
+  const zones = createZones();
+  zones.sync(['10.0.0.1', '10.0.0.2']);
+  const first = zones.assign('s1').id;
+  zones.assign('s2');
+
+  assert.equal(zones.assign('s1').id, first);
+  zones.sync([first === 'zone-1' ? '10.0.0.2' : '10.0.0.1']);
+  assert.notEqual(zones.forKey('s1').id, first);
+});
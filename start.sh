@@ -43,7 +43,7 @@ SERVER_PID=$!
 sleep 1
 
 echo "  ✓ Server running on port $PORT"
-echo "  ✓ Host dashboard → http://localhost:$PORT/host?key=$HOST_KEY"
+echo "  ✓ Host dashboard → http://localhost:$PORT/host"
 echo ""
 
 # ── Tunnel — Cloudflare (free, no interstitial, no login needed) ──────────────